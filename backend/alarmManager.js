@@ -0,0 +1,371 @@
+/**
+ * Alarm Manager
+ * Raises alarms from equipment status (WARNING/ALARM/FAULT) and connection loss,
+ * tracks operator acknowledgement and shelving, and clears them on return to normal
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const equipmentManager = require('./equipmentManager');
+const changeoverTracker = require('./changeoverTracker');
+const websocketServer = require('./websocketServer');
+
+const SEVERITIES = ['NORMAL', 'WARNING', 'ALARM', 'FAULT'];
+const ALARM_FILE = 'alarms.json';
+
+class AlarmManager {
+  constructor() {
+    this.alarms = new Map(); // Map<alarmId, alarm> (active alarms only)
+    this.shelveTimers = new Map(); // Map<alarmId, timer>
+    this.filePath = null;
+  }
+
+  /**
+   * Restores active alarms saved before the last shutdown (with persistent history enabled)
+   */
+  start() {
+    if (!config.history.enabled) {
+      return;
+    }
+
+    this.filePath = path.join(path.resolve(config.history.dir), ALARM_FILE);
+
+    try {
+      // Flapping detection starts over, so its alarms would never clear
+      JSON.parse(fs.readFileSync(this.filePath, 'utf8')).forEach(alarm => {
+        if (config.getEquipmentById(alarm.equipmentId) && alarm.condition !== 'flapping') {
+          this.alarms.set(alarm.id, alarm);
+          this.scheduleUnshelve(alarm);
+        }
+      });
+    } catch (error) {
+      // No saved alarms yet (first start) or unreadable
+    }
+
+    if (this.alarms.size > 0) {
+      console.log(`[Alarms] ♻️  Restored ${this.alarms.size} active alarm(s)`);
+    }
+  }
+
+  /**
+   * Cancels shelve timers
+   */
+  stop() {
+    this.shelveTimers.forEach(timer => clearTimeout(timer));
+    this.shelveTimers.clear();
+  }
+
+  /**
+   * Raises, updates or clears an equipment's status alarm
+   * The severity is the worse of the reported and the rule-derived status.
+   * Flapping equipment only has its flapping alarm until it settles
+   * @param {object} status - Status from equipmentManager.updateStatus
+   */
+  updateFromStatus(status) {
+    if (status.flapping) {
+      return;
+    }
+
+    const reported = SEVERITIES.includes(status.status) ? status.status : 'NORMAL';
+    const derived = SEVERITIES.includes(status.derivedStatus) ? status.derivedStatus : 'NORMAL';
+    const severity = SEVERITIES.indexOf(derived) > SEVERITIES.indexOf(reported) ? derived : reported;
+
+    if (severity === 'NORMAL') {
+      this.clear(status.equipmentId, 'status', 'Status returned to NORMAL');
+      return;
+    }
+
+    const message = severity === reported
+      ? `Equipment reports ${reported}`
+      : `Threshold rules: ${status.ruleBreaches.map(breach => `${breach.parameterName || breach.parameter} ${breach.level}`).join(', ')}`;
+
+    this.raise(status.equipmentId, 'status', severity, message);
+  }
+
+  /**
+   * Raises or clears an equipment's connection alarm
+   * @param {object} event - connection_lost or connection_restored event
+   */
+  updateFromConnection(event) {
+    if (event.type === 'connection_lost') {
+      this.raise(event.equipmentId, 'connection', 'ALARM', `No data for ${Math.round(event.silenceMs / 1000)}s`);
+    } else if (event.type === 'connection_restored') {
+      this.clear(event.equipmentId, 'connection', `Data restored after ${Math.round(event.silenceMs / 1000)}s`);
+    }
+  }
+
+  /**
+   * Raises a warning for a changeover away from the equipment's normal path,
+   * and clears it once the equipment is back on that path
+   * @param {object} event - changeover event (expected is null without a normal path)
+   */
+  updateFromChangeover(event) {
+    if (event.expected === false) {
+      this.raise(event.equipmentId, 'changeover', 'WARNING', `Unexpected changeover: ${event.from} → ${event.to}`);
+    } else if (event.expected === true) {
+      this.clear(event.equipmentId, 'changeover', `Back on the normal path (${event.to})`);
+    }
+  }
+
+  /**
+   * Replaces a flapping equipment's status alarm with one flapping alarm, and
+   * re-evaluates its status and path once it has settled (changeovers during the
+   * episode were only counted)
+   * @param {object} event - flapping_started or flapping_ended event
+   */
+  updateFromFlapping(event) {
+    if (event.type === 'flapping_started') {
+      this.clear(event.equipmentId, 'status', 'Replaced by the flapping alarm');
+      this.raise(event.equipmentId, 'flapping', 'WARNING',
+        `Flapping: ${event.transitions} status/path changes within ${Math.round(event.windowMs / 1000)}s`);
+    } else if (event.type === 'flapping_ended') {
+      this.clear(event.equipmentId, 'flapping',
+        `Settled after ${Math.round(event.durationMs / 1000)}s (${event.transitions} changes)`);
+
+      const status = equipmentManager.getStatus(event.equipmentId);
+      if (status) {
+        this.updateFromStatus(status);
+
+        const expected = changeoverTracker.isExpected(event.equipmentId, status.path);
+        if (expected === false) {
+          this.raise(event.equipmentId, 'changeover', 'WARNING', `Unexpected changeover: settled on ${status.path} after flapping`);
+        } else if (expected === true) {
+          this.clear(event.equipmentId, 'changeover', `Back on the normal path (${status.path})`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Raises an alarm, or updates the active one for the same condition
+   * A higher severity needs a new acknowledgement; a lower one keeps it
+   * (so a worse alarm never silently replaces one the operator has seen)
+   */
+  raise(equipmentId, condition, severity, message) {
+    const timestamp = new Date().toISOString();
+    const alarm = this.find(equipmentId, condition);
+
+    if (!alarm) {
+      const raised = {
+        id: `${equipmentId}-${condition}-${Date.now().toString(36)}`,
+        equipmentId,
+        condition,
+        severity,
+        message,
+        raisedAt: timestamp,
+        updatedAt: timestamp,
+        acknowledgement: null,
+        shelved: null
+      };
+      this.alarms.set(raised.id, raised);
+      this.publish('alarm_raised', raised);
+      return;
+    }
+
+    if (alarm.severity === severity && alarm.message === message) {
+      return;
+    }
+
+    const escalated = SEVERITIES.indexOf(severity) > SEVERITIES.indexOf(alarm.severity);
+    const previousSeverity = alarm.severity;
+    alarm.severity = severity;
+    alarm.message = message;
+    alarm.updatedAt = timestamp;
+
+    if (escalated) {
+      alarm.acknowledgement = null;
+    }
+
+    const change = previousSeverity === severity ? 'details' : escalated ? 'escalated' : 'deescalated';
+    this.publish('alarm_updated', alarm, { change, previousSeverity });
+  }
+
+  /**
+   * Clears the active alarm for a condition (no-op when there is none)
+   */
+  clear(equipmentId, condition, reason) {
+    const alarm = this.find(equipmentId, condition);
+    if (!alarm) {
+      return;
+    }
+
+    this.alarms.delete(alarm.id);
+    clearTimeout(this.shelveTimers.get(alarm.id));
+    this.shelveTimers.delete(alarm.id);
+
+    alarm.clearedAt = new Date().toISOString();
+    alarm.clearReason = reason;
+    this.publish('alarm_cleared', alarm);
+  }
+
+  /**
+   * Clears every alarm of an equipment (when it is removed from the config)
+   */
+  clearEquipment(equipmentId) {
+    this.getActive({ equipmentIds: [equipmentId] })
+      .forEach(alarm => this.clear(equipmentId, alarm.condition, 'Equipment removed'));
+  }
+
+  /**
+   * Records that an operator has seen an alarm
+   * @param {string} alarmId - Alarm ID
+   * @param {object} details - {comment, operator?}
+   * @returns {object} - {success, alarm?, error?, code?}
+   */
+  acknowledge(alarmId, details) {
+    const alarm = this.alarms.get(alarmId);
+    if (!alarm) {
+      return { success: false, code: 404, error: 'Alarm not found or already cleared' };
+    }
+
+    if (alarm.acknowledgement) {
+      return { success: false, code: 409, error: `Alarm already acknowledged by ${alarm.acknowledgement.operator}` };
+    }
+
+    alarm.acknowledgement = {
+      operator: details.operator || 'unknown',
+      comment: details.comment,
+      at: new Date().toISOString()
+    };
+    alarm.updatedAt = alarm.acknowledgement.at;
+    this.publish('alarm_updated', alarm, { change: 'acknowledged' });
+
+    return { success: true, alarm };
+  }
+
+  /**
+   * Hides an alarm for a while (it still clears on return to normal)
+   * @param {string} alarmId - Alarm ID
+   * @param {object} details - {minutes, comment, operator?}
+   * @returns {object} - {success, alarm?, error?, code?}
+   */
+  shelve(alarmId, details) {
+    const alarm = this.alarms.get(alarmId);
+    if (!alarm) {
+      return { success: false, code: 404, error: 'Alarm not found or already cleared' };
+    }
+
+    const now = Date.now();
+    alarm.shelved = {
+      operator: details.operator || 'unknown',
+      comment: details.comment,
+      at: new Date(now).toISOString(),
+      until: new Date(now + details.minutes * 60000).toISOString()
+    };
+    alarm.updatedAt = alarm.shelved.at;
+    this.scheduleUnshelve(alarm);
+    this.publish('alarm_updated', alarm, { change: 'shelved' });
+
+    return { success: true, alarm };
+  }
+
+  /**
+   * Returns a shelved alarm to the active list
+   * @param {string} alarmId - Alarm ID
+   * @param {string} reason - Why (operator request or shelve expired)
+   * @returns {object} - {success, alarm?, error?, code?}
+   */
+  unshelve(alarmId, reason = 'Unshelved by operator') {
+    const alarm = this.alarms.get(alarmId);
+    if (!alarm) {
+      return { success: false, code: 404, error: 'Alarm not found or already cleared' };
+    }
+
+    if (!alarm.shelved) {
+      return { success: false, code: 409, error: 'Alarm is not shelved' };
+    }
+
+    clearTimeout(this.shelveTimers.get(alarmId));
+    this.shelveTimers.delete(alarmId);
+    alarm.shelved = null;
+    alarm.updatedAt = new Date().toISOString();
+    this.publish('alarm_updated', alarm, { change: 'unshelved', reason });
+
+    return { success: true, alarm };
+  }
+
+  /**
+   * Unshelves an alarm when its shelve time is up
+   */
+  scheduleUnshelve(alarm) {
+    clearTimeout(this.shelveTimers.get(alarm.id));
+    if (!alarm.shelved) {
+      return;
+    }
+
+    const delay = Math.max(0, Date.parse(alarm.shelved.until) - Date.now());
+    const timer = setTimeout(() => this.unshelve(alarm.id, 'Shelve time expired'), delay);
+    timer.unref();
+    this.shelveTimers.set(alarm.id, timer);
+  }
+
+  /**
+   * Finds the active alarm of an equipment for a condition
+   */
+  find(equipmentId, condition) {
+    return Array.from(this.alarms.values())
+      .find(alarm => alarm.equipmentId === equipmentId && alarm.condition === condition) || null;
+  }
+
+  getAlarm(alarmId) {
+    return this.alarms.get(alarmId) || null;
+  }
+
+  /**
+   * Lists active alarms, most severe and then newest first
+   * @param {object} filters - {equipmentIds?, includeShelved? (default true)}
+   */
+  getActive(filters = {}) {
+    return Array.from(this.alarms.values())
+      .filter(alarm => !filters.equipmentIds || filters.equipmentIds.includes(alarm.equipmentId))
+      .filter(alarm => filters.includeShelved !== false || !alarm.shelved)
+      .sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) ||
+        b.raisedAt.localeCompare(a.raisedAt));
+  }
+
+  /**
+   * Records an alarm change in history, notifies dashboards and saves the active alarms
+   */
+  publish(type, alarm, extra = {}) {
+    const event = { type, ...extra, alarm: { ...alarm } };
+    const equipment = config.getEquipmentById(alarm.equipmentId);
+    const name = equipment ? equipment.name : alarm.equipmentId;
+
+    console.log(`[Alarms] 🔔 ${name}: ${type.replace('alarm_', '')}${extra.change ? ` (${extra.change})` : ''} - ${alarm.severity} ${alarm.message}`);
+
+    equipmentManager.addToHistory(alarm.equipmentId, {
+      type,
+      equipmentId: alarm.equipmentId,
+      alarmId: alarm.id,
+      condition: alarm.condition,
+      severity: alarm.severity,
+      message: alarm.message,
+      ...extra,
+      acknowledgement: alarm.acknowledgement,
+      shelved: alarm.shelved,
+      clearReason: alarm.clearReason,
+      timestamp: new Date().toISOString()
+    });
+    websocketServer.broadcast({ type, data: event });
+    this.save();
+  }
+
+  /**
+   * Saves the active alarms next to the history, so acknowledgements survive a restart
+   */
+  save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      fs.writeFileSync(`${this.filePath}.tmp`, JSON.stringify(Array.from(this.alarms.values())), 'utf8');
+      fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+    } catch (error) {
+      console.error(`[Alarms] ❌ Saving active alarms failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new AlarmManager();
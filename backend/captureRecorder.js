@@ -0,0 +1,166 @@
+/**
+ * Capture Recorder
+ * Writes received UDP datagrams to pcap files, rotating by file size
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { PcapWriter } = require('./pcap');
+
+const FILE_PATTERN = /^capture-[\w-]+\.pcap$/;
+
+class CaptureRecorder {
+  constructor() {
+    this.writer = null;
+    this.options = null;
+    this.startedAt = null;
+    this.captureDir = path.resolve(config.capture.dir);
+  }
+
+  /**
+   * Starts recording
+   * @param {object} options - {equipmentIds (null = all), maxFileBytes, maxFiles}
+   * @returns {object} - Recorder status
+   */
+  start(options = {}) {
+    if (this.writer) {
+      this.stop();
+    }
+
+    this.options = {
+      equipmentIds: options.equipmentIds && options.equipmentIds.length > 0 ? options.equipmentIds : null,
+      maxFileBytes: options.maxFileBytes || config.capture.maxFileBytes,
+      maxFiles: options.maxFiles || config.capture.maxFiles
+    };
+
+    fs.mkdirSync(this.captureDir, { recursive: true });
+    this.startedAt = new Date().toISOString();
+    this.openFile();
+
+    console.log(`[PCAP] ⏺️  Recording to ${this.writer.filePath}`);
+    return this.getStatus();
+  }
+
+  /**
+   * Stops recording and closes the current file
+   */
+  stop() {
+    if (!this.writer) {
+      return this.getStatus();
+    }
+
+    this.writer.close();
+    console.log(`[PCAP] ⏹️  Recording stopped (${this.writer.filePath})`);
+    this.writer = null;
+    this.startedAt = null;
+
+    return this.getStatus();
+  }
+
+  /**
+   * Records a received datagram if recording is active for its equipment
+   * @param {object|null} equipment - Equipment configuration (null for unroutable datagrams on a shared port)
+   * @param {Buffer} msg - Datagram payload
+   * @param {object} rinfo - Sender {address, port}
+   * @param {object} local - Receiving socket {address, port}
+   */
+  record(equipment, msg, rinfo, local) {
+    if (!this.writer) {
+      return;
+    }
+
+    if (this.options.equipmentIds && (!equipment || !this.options.equipmentIds.includes(equipment.id))) {
+      return;
+    }
+
+    try {
+      this.writer.write({
+        timestamp: Date.now(),
+        sourceIP: rinfo.address,
+        sourcePort: rinfo.port,
+        destIP: local.address,
+        destPort: local.port,
+        data: msg
+      });
+
+      if (this.writer.bytes >= this.options.maxFileBytes) {
+        this.rotate();
+      }
+    } catch (error) {
+      console.error(`[PCAP] ❌ Write failed, recording stopped: ${error.message}`);
+      this.stop();
+    }
+  }
+
+  /**
+   * Closes the current file, opens a new one and deletes the oldest files
+   */
+  rotate() {
+    this.writer.close();
+    this.openFile();
+    this.pruneFiles();
+  }
+
+  openFile() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    this.writer = new PcapWriter(path.join(this.captureDir, `capture-${stamp}.pcap`));
+  }
+
+  /**
+   * Keeps at most maxFiles capture files
+   */
+  pruneFiles() {
+    this.listFiles()
+      .slice(this.options.maxFiles)
+      .forEach(file => {
+        fs.unlinkSync(path.join(this.captureDir, file.name));
+        console.log(`[PCAP] Rotated out ${file.name}`);
+      });
+  }
+
+  /**
+   * Lists capture files, newest first
+   * @returns {Array} - [{name, size, modified}]
+   */
+  listFiles() {
+    if (!fs.existsSync(this.captureDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.captureDir)
+      .filter(name => FILE_PATTERN.test(name))
+      .map(name => {
+        const stats = fs.statSync(path.join(this.captureDir, name));
+        return { name, size: stats.size, modified: stats.mtime.toISOString() };
+      })
+      .sort((a, b) => b.name.localeCompare(a.name));
+  }
+
+  /**
+   * Resolves a capture file name to its path (null for unknown or unsafe names)
+   */
+  getFilePath(name) {
+    if (!FILE_PATTERN.test(name)) {
+      return null;
+    }
+
+    const filePath = path.join(this.captureDir, name);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  getStatus() {
+    return {
+      recording: this.writer !== null,
+      file: this.writer ? path.basename(this.writer.filePath) : null,
+      packets: this.writer ? this.writer.packets : 0,
+      bytes: this.writer ? this.writer.bytes : 0,
+      startedAt: this.startedAt,
+      equipmentIds: this.options ? this.options.equipmentIds : null,
+      maxFileBytes: this.options ? this.options.maxFileBytes : config.capture.maxFileBytes,
+      maxFiles: this.options ? this.options.maxFiles : config.capture.maxFiles
+    };
+  }
+}
+
+module.exports = new CaptureRecorder();
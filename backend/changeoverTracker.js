@@ -0,0 +1,123 @@
+/**
+ * Changeover Tracker
+ * Counts active/standby changeovers per equipment (rolling 24 hours and per UTC day)
+ * and decides whether a changeover was expected from the equipment's normal path
+ */
+
+const config = require('./config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_KEPT = 7;
+
+class ChangeoverTracker {
+  constructor() {
+    this.counters = new Map(); // Map<equipmentId, {times, byDay, last, summary, validUntil}>
+  }
+
+  /**
+   * Whether a changeover to a path was expected
+   * Only equipment with a normalPath know: leaving it is unexpected, returning to it is not
+   * @returns {boolean|null} - null when the equipment has no normal path
+   */
+  isExpected(equipmentId, toPath) {
+    const equipment = config.getEquipmentById(equipmentId) || {};
+    return equipment.normalPath ? toPath === equipment.normalPath : null;
+  }
+
+  /**
+   * Counts a changeover
+   * @param {string} equipmentId - Equipment ID
+   * @param {object} changeover - changeover event
+   * @returns {object} - Updated summary (see getSummary)
+   */
+  record(equipmentId, changeover) {
+    const counter = this.getCounter(equipmentId);
+    const day = changeover.timestamp.slice(0, 10);
+
+    counter.times.push(Date.parse(changeover.timestamp));
+    counter.byDay[day] = (counter.byDay[day] || 0) + 1;
+    counter.last = {
+      from: changeover.from,
+      to: changeover.to,
+      channels: changeover.channels,
+      expected: changeover.expected,
+      timestamp: changeover.timestamp
+    };
+    counter.validUntil = 0;
+
+    return this.getSummary(equipmentId, Date.parse(changeover.timestamp));
+  }
+
+  /**
+   * Gets an equipment's changeover counts (kept in its status)
+   * Only recomputed after a changeover, or when one leaves the 24 hours or the day ends
+   * @returns {object} - {last, last24h, today, byDay: {YYYY-MM-DD: count}}
+   */
+  getSummary(equipmentId, now = Date.now()) {
+    const counter = this.getCounter(equipmentId);
+    if (counter.summary && now < counter.validUntil) {
+      return counter.summary;
+    }
+
+    this.prune(counter, now);
+    const nextDay = (Math.floor(now / DAY_MS) + 1) * DAY_MS;
+
+    counter.validUntil = counter.times.length > 0 ? Math.min(counter.times[0] + DAY_MS, nextDay) : nextDay;
+    counter.summary = {
+      last: counter.last,
+      last24h: counter.times.length,
+      today: counter.byDay[new Date(now).toISOString().slice(0, 10)] || 0,
+      byDay: { ...counter.byDay }
+    };
+
+    return counter.summary;
+  }
+
+  /**
+   * Restores counts saved before the last shutdown
+   * @param {object} summary - Summary from the saved status
+   * @param {Array} timestamps - Changeovers found in the restored history (for the 24 hour count)
+   */
+  restore(equipmentId, summary, timestamps = []) {
+    if (!summary) {
+      return;
+    }
+
+    this.counters.set(equipmentId, {
+      times: timestamps.map(timestamp => Date.parse(timestamp)).sort((a, b) => a - b),
+      byDay: summary.byDay || {},
+      last: summary.last || null,
+      summary: null,
+      validUntil: 0
+    });
+  }
+
+  /**
+   * Drops changeovers older than 24 hours and days older than DAYS_KEPT
+   */
+  prune(counter, now) {
+    const oldestDay = new Date(now - (DAYS_KEPT - 1) * DAY_MS).toISOString().slice(0, 10);
+
+    counter.times = counter.times.filter(time => now - time < DAY_MS);
+    Object.keys(counter.byDay)
+      .filter(day => day < oldestDay)
+      .forEach(day => delete counter.byDay[day]);
+  }
+
+  getCounter(equipmentId) {
+    if (!this.counters.has(equipmentId)) {
+      this.counters.set(equipmentId, { times: [], byDay: {}, last: null, summary: null, validUntil: 0 });
+    }
+
+    return this.counters.get(equipmentId);
+  }
+
+  /**
+   * Forgets an equipment (removed from the config)
+   */
+  reset(equipmentId) {
+    this.counters.delete(equipmentId);
+  }
+}
+
+module.exports = new ChangeoverTracker();
@@ -16,6 +16,48 @@ class Config {
     // Load equipment configuration
     this.configPath = process.env.EQUIPMENT_CONFIG_PATH || './config/equipment.json';
     this.loadEquipmentConfig(this.configPath);
+
+    // ICD profile definitions (one JSON file per profile)
+    this.icdProfilesPath = process.env.ICD_PROFILES_PATH || './config/icd-profiles';
+
+    // Recent raw packets kept per equipment for the packet inspector
+    this.packetBufferSize = parseInt(process.env.PACKET_BUFFER_SIZE || '200');
+
+    // PCAP capture files (continuous recording rotates by size)
+    this.capture = {
+      dir: process.env.CAPTURE_DIR || './captures',
+      continuous: process.env.CAPTURE_CONTINUOUS === 'true',
+      maxFileBytes: parseInt(process.env.CAPTURE_MAX_FILE_MB || '10') * 1024 * 1024,
+      maxFiles: parseInt(process.env.CAPTURE_MAX_FILES || '10')
+    };
+
+    // Persistent event history (append-only NDJSON, one segment per UTC day)
+    this.history = {
+      enabled: process.env.HISTORY_PERSIST !== 'false',
+      dir: process.env.HISTORY_DIR || './data/history',
+      retentionDays: Math.max(1, parseInt(process.env.HISTORY_RETENTION_DAYS || '30')),
+      rawSamples: process.env.HISTORY_RAW_SAMPLES === 'true' // Also record every packet (debugging)
+    };
+
+    // Alarm handling (the longest an operator can shelve an alarm for)
+    this.alarms = {
+      maxShelveMinutes: Math.max(1, parseInt(process.env.ALARM_MAX_SHELVE_MINUTES || '480'))
+    };
+
+    // Flapping detection (status/path changes within the window that start an episode)
+    this.flapping = {
+      transitions: Math.max(2, parseInt(process.env.FLAP_TRANSITIONS || '6')),
+      windowMs: Math.max(1000, parseInt(process.env.FLAP_WINDOW_MS || '60000'))
+    };
+
+    // Re-read equipment.json when it changes on disk (SIGHUP always reloads)
+    this.watchConfig = process.env.CONFIG_WATCH !== 'false';
+
+    // Listener recovery after socket errors (exponential backoff between rebind attempts)
+    this.listenerRetry = {
+      initialDelayMs: parseInt(process.env.LISTENER_RETRY_INITIAL_MS || '1000'),
+      maxDelayMs: parseInt(process.env.LISTENER_RETRY_MAX_MS || '60000')
+    };
   }
 
   loadEquipmentConfig(configPath) {
@@ -28,27 +70,35 @@ class Config {
       this.equipment = config.equipment || [];
       
       // Server configuration
-      this.server = {
-        webPort: config.server?.webPort || this.webPort,
-        host: config.server?.host || this.host,
-        connectionTimeout: config.server?.connectionTimeout || 30000,
-        allowUnknownIPs: config.server?.allowUnknownIPs || false
-      };
+      this.server = this.buildServerConfig(config.server);
+
+      // Last content read or written, so a reload can tell our own saves apart
+      this.fileContent = data;
       
       return this.equipment;
     } catch (error) {
       console.error(`Error loading equipment configuration: ${error.message}`);
       this.equipment = [];
-      this.server = {
-        webPort: this.webPort,
-        host: this.host,
-        connectionTimeout: 30000,
-        allowUnknownIPs: false
-      };
+      this.server = this.buildServerConfig();
       return [];
     }
   }
 
+  /**
+   * Builds server settings from a config file's server block, with defaults
+   * @param {object} server - "server" block of equipment.json
+   */
+  buildServerConfig(server = {}) {
+    return {
+      webPort: server?.webPort || this.webPort,
+      host: server?.host || this.host,
+      connectionTimeout: server?.connectionTimeout || 30000,
+      allowUnknownIPs: server?.allowUnknownIPs || false,
+      strictSourceIP: server?.strictSourceIP || false,
+      ipv6Only: server?.ipv6Only || false
+    };
+  }
+
   getEquipmentByIp(ip) {
     return this.equipment.find(eq => eq.ip === ip);
   }
@@ -90,10 +140,10 @@ class Config {
       throw new Error(`Equipment with ID '${equipment.id}' already exists`);
     }
 
-    // Check if port is already in use
-    const portInUse = this.equipment.find(eq => eq.port === equipment.port);
-    if (portInUse) {
-      throw new Error(`Port ${equipment.port} is already in use by '${portInUse.name}'`);
+    // Check if port is already in use (and cannot be shared)
+    const portCheck = this.isPortAvailable(equipment.port, null, Boolean(equipment.demux));
+    if (!portCheck.available) {
+      throw new Error(`Port ${equipment.port} is already in use by '${portCheck.usedBy}'`);
     }
 
     this.equipment.push(equipment);
@@ -114,9 +164,10 @@ class Config {
 
     // If port is being changed, check if new port is available
     if (updates.port !== undefined && updates.port !== equipment.port) {
-      const portInUse = this.equipment.find(eq => eq.port === updates.port && eq.id !== equipmentId);
-      if (portInUse) {
-        throw new Error(`Port ${updates.port} is already in use by '${portInUse.name}'`);
+      const demux = updates.demux !== undefined ? updates.demux : equipment.demux;
+      const portCheck = this.isPortAvailable(updates.port, equipmentId, Boolean(demux));
+      if (!portCheck.available) {
+        throw new Error(`Port ${updates.port} is already in use by '${portCheck.usedBy}'`);
       }
     }
 
@@ -140,18 +191,34 @@ class Config {
     return true;
   }
 
+  /**
+   * Get equipment configured on a port
+   * @param {number} port - Port number
+   * @param {string} excludeId - Equipment ID to leave out
+   */
+  getEquipmentOnPort(port, excludeId = null) {
+    return this.equipment.filter(eq => eq.port === port && eq.id !== excludeId);
+  }
+
   /**
    * Check if port is available
+   * A port is shareable when the candidate and every equipment on it have demux settings
    * @param {number} port - Port to check
    * @param {string} excludeId - Equipment ID to exclude from check
-   * @returns {object} - {available: boolean, usedBy?: string}
+   * @param {boolean} shared - Whether the candidate equipment has demux settings
+   * @returns {object} - {available: boolean, usedBy?: string, sharedWith?: string[]}
    */
-  isPortAvailable(port, excludeId = null) {
-    const equipment = this.equipment.find(eq => eq.port === port && eq.id !== excludeId);
-    if (equipment) {
-      return { available: false, usedBy: equipment.name };
+  isPortAvailable(port, excludeId = null, shared = false) {
+    const users = this.getEquipmentOnPort(port, excludeId);
+    if (users.length === 0) {
+      return { available: true };
     }
-    return { available: true };
+
+    if (shared && users.every(eq => eq.demux)) {
+      return { available: true, sharedWith: users.map(eq => eq.name) };
+    }
+
+    return { available: false, usedBy: users.map(eq => eq.name).join(', ') };
   }
 
   /**
@@ -176,7 +243,9 @@ class Config {
         equipment: this.equipment,
         server: this.server
       };
-      fs.writeFileSync(this.configFilePath, JSON.stringify(config, null, 2), 'utf8');
+      const content = JSON.stringify(config, null, 2);
+      fs.writeFileSync(this.configFilePath, content, 'utf8');
+      this.fileContent = content;
       return true;
     } catch (error) {
       console.error(`Error saving configuration: ${error.message}`);
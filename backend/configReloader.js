@@ -0,0 +1,334 @@
+/**
+ * Config Reloader
+ * Re-reads equipment.json when it changes on disk or on SIGHUP, validates it
+ * and applies the difference to the running listeners without a restart
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const udpListener = require('./udpListener');
+const websocketServer = require('./websocketServer');
+const equipmentManager = require('./equipmentManager');
+const alarmManager = require('./alarmManager');
+const icdProfiles = require('./icdProfiles');
+const statusAggregator = require('./statusAggregator');
+const packetDemux = require('./packetDemux');
+const packetStats = require('./packetStats');
+const networkInterfaces = require('./networkInterfaces');
+const validator = require('./validators/equipmentValidator');
+
+// Editors and deployment tools often write a file in several steps
+const DEBOUNCE_MS = 500;
+
+// Equipment fields whose change re-creates the equipment's socket
+const SOCKET_FIELDS = ['port', 'enabled', 'bindAddress', 'multicast', 'demux'];
+
+// Server fields that change every socket bound to the server host
+const SOCKET_SERVER_FIELDS = ['host', 'ipv6Only'];
+
+/**
+ * Lists the fields that differ between two objects
+ */
+function changedFields(current, next) {
+  const keys = new Set([...Object.keys(current), ...Object.keys(next)]);
+  return Array.from(keys).filter(key => JSON.stringify(current[key]) !== JSON.stringify(next[key]));
+}
+
+class ConfigReloader {
+  constructor() {
+    this.watcher = null;
+    this.debounceTimer = null;
+    this.onSighup = () => this.reload('SIGHUP');
+  }
+
+  /**
+   * Starts watching the config file (unless CONFIG_WATCH=false) and listening for SIGHUP
+   */
+  start() {
+    const filePath = config.configFilePath;
+
+    if (config.watchConfig) {
+      try {
+        // Watch the directory: editors often replace the file instead of writing it in place
+        this.watcher = fs.watch(path.dirname(filePath), (eventType, filename) => {
+          if (filename !== path.basename(filePath)) {
+            return;
+          }
+          clearTimeout(this.debounceTimer);
+          this.debounceTimer = setTimeout(() => this.reload('file change'), DEBOUNCE_MS);
+        });
+        console.log(`[Config] 👀 Watching ${filePath} for changes`);
+      } catch (error) {
+        console.error(`[Config] ❌ Cannot watch ${filePath}: ${error.message}`);
+      }
+    }
+
+    process.on('SIGHUP', this.onSighup);
+  }
+
+  /**
+   * Stops watching
+   */
+  stop() {
+    clearTimeout(this.debounceTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    process.removeListener('SIGHUP', this.onSighup);
+  }
+
+  /**
+   * Re-reads and applies the config file
+   * The running config is kept when the file cannot be read or is invalid
+   * @param {string} trigger - What caused the reload (for logging)
+   * @returns {object} - {success, errors?, added?, updated?, removed?}
+   */
+  reload(trigger) {
+    let content;
+    let parsed;
+
+    try {
+      content = fs.readFileSync(config.configFilePath, 'utf8');
+    } catch (error) {
+      console.error(`[Config] ❌ Reload (${trigger}) failed: ${error.message}`);
+      return { success: false, errors: [error.message] };
+    }
+
+    // Our own saves (and touches without changes) need no reload
+    if (trigger === 'file change' && content === config.fileContent) {
+      return { success: true, unchanged: true };
+    }
+
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      console.error(`[Config] ❌ Reload (${trigger}) failed: invalid JSON - ${error.message}`);
+      return { success: false, errors: [`Invalid JSON: ${error.message}`] };
+    }
+
+    const validation = this.validate(parsed);
+    if (!validation.valid) {
+      console.error(`[Config] ❌ Reload (${trigger}) rejected, keeping the running configuration:`);
+      validation.errors.forEach(error => console.error(`    - ${error}`));
+      return { success: false, errors: validation.errors };
+    }
+
+    const result = this.apply(parsed);
+    config.fileContent = content;
+
+    console.log('═══════════════════════════════════════════════════════════════');
+    console.log(`  🔄 Configuration reloaded (${trigger})`);
+    console.log(`  Added: ${result.added.length} | Updated: ${result.updated.length} | Removed: ${result.removed.length}`);
+    console.log('═══════════════════════════════════════════════════════════════');
+
+    return { success: true, ...result };
+  }
+
+  /**
+   * Validates a parsed config file the same way the equipment API validates single entries
+   * @returns {object} - {valid: boolean, errors: string[]}
+   */
+  validate(parsed) {
+    if (!parsed || !Array.isArray(parsed.equipment)) {
+      return { valid: false, errors: ['"equipment" must be an array'] };
+    }
+
+    const errors = [];
+    const ids = new Set();
+
+    parsed.equipment.forEach((equipment, index) => {
+      const label = equipment && equipment.id ? `Equipment '${equipment.id}'` : `Equipment #${index + 1}`;
+
+      if (!equipment || typeof equipment !== 'object') {
+        errors.push(`${label}: must be an object`);
+        return;
+      }
+
+      if (typeof equipment.id !== 'string' || equipment.id === '') {
+        errors.push(`${label}: id is required`);
+      } else if (ids.has(equipment.id)) {
+        errors.push(`${label}: duplicate id`);
+      }
+      ids.add(equipment.id);
+
+      const basic = validator.validateEquipmentConfig(equipment);
+      if (!basic.valid) {
+        Object.values(basic.errors).forEach(error => errors.push(`${label}: ${error}`));
+      } else if (!Number.isInteger(equipment.port)) {
+        errors.push(`${label}: port must be an integer`);
+      }
+
+      if (equipment.icdProfile && !icdProfiles.hasProfile(equipment.icdProfile)) {
+        errors.push(`${label}: unknown ICD profile '${equipment.icdProfile}'`);
+      }
+
+      const checks = [
+        statusAggregator.validate(equipment.aggregation),
+        equipment.allowedSources !== undefined ? validator.validateAllowedSources(equipment.allowedSources) : null,
+        equipment.multicast ? validator.validateMulticast(equipment.multicast) : null,
+        ...(Array.isArray(equipment.rules) ? equipment.rules.map(rule => validator.validateRule(rule)) : [])
+      ];
+      checks.filter(check => check && !check.valid).forEach(check => errors.push(`${label}: ${check.error}`));
+
+      if (equipment.rules !== undefined && !Array.isArray(equipment.rules)) {
+        errors.push(`${label}: rules must be an array`);
+      }
+
+      const timingValidation = validator.validateTiming(equipment, config.buildServerConfig(parsed.server).connectionTimeout);
+      if (!timingValidation.valid) {
+        errors.push(`${label}: ${timingValidation.error}`);
+      }
+
+      const flappingValidation = validator.validateFlapping(equipment.flapping);
+      if (!flappingValidation.valid) {
+        errors.push(`${label}: ${flappingValidation.error}`);
+      }
+
+      const normalPathValidation = validator.validateNormalPath(equipment.normalPath);
+      if (!normalPathValidation.valid) {
+        errors.push(`${label}: ${normalPathValidation.error}`);
+      }
+
+      if (equipment.rawHistory !== undefined && typeof equipment.rawHistory !== 'boolean') {
+        errors.push(`${label}: rawHistory must be true or false`);
+      }
+
+      // A missing interface is not fatal: the listener reports it as down and keeps retrying
+      if (equipment.bindAddress && !networkInterfaces.resolve(equipment.bindAddress)) {
+        console.warn(`[Config] ⚠️  ${label}: bind address '${equipment.bindAddress}' is not available on this host`);
+      }
+    });
+
+    // Equipment on the same port share a socket: they need demux settings and one bind address
+    const byPort = new Map();
+    parsed.equipment.filter(eq => eq && Number.isInteger(eq.port)).forEach(eq => {
+      byPort.set(eq.port, [...(byPort.get(eq.port) || []), eq]);
+    });
+
+    byPort.forEach((equipmentList, port) => {
+      if (equipmentList.length < 2) {
+        return;
+      }
+
+      equipmentList.forEach(equipment => {
+        const peers = equipmentList.filter(eq => eq !== equipment);
+        const demuxValidation = packetDemux.validate(equipment, peers);
+        if (!demuxValidation.valid) {
+          errors.push(`Equipment '${equipment.id}': ${demuxValidation.error}`);
+        }
+      });
+
+      if (new Set(equipmentList.map(eq => eq.bindAddress || null)).size > 1) {
+        errors.push(`Port ${port}: equipment sharing the port must use the same bindAddress`);
+      }
+    });
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Applies a validated config file: detaches removed and re-bound equipment,
+   * updates the running config in place (the listener holds these objects),
+   * then starts the new sockets and notifies dashboards
+   * @returns {object} - {added, updated, removed} equipment IDs
+   */
+  apply(parsed) {
+    const next = parsed.equipment;
+    const nextIds = new Set(next.map(eq => eq.id));
+    const nextServer = { ...config.buildServerConfig(parsed.server), webPort: config.server.webPort };
+
+    const serverChanges = changedFields(config.server, nextServer);
+    const rebindAll = serverChanges.some(field => SOCKET_SERVER_FIELDS.includes(field));
+
+    if (parsed.server && parsed.server.webPort && parsed.server.webPort !== config.server.webPort) {
+      console.warn(`[Config] ⚠️  webPort change to ${parsed.server.webPort} takes effect after a restart`);
+    }
+
+    const removed = config.getAllEquipment().filter(eq => !nextIds.has(eq.id));
+    const added = next.filter(eq => !config.getEquipmentById(eq.id));
+    const updated = [];
+    const rebind = [];
+
+    next.forEach(nextEquipment => {
+      const equipment = config.getEquipmentById(nextEquipment.id);
+      if (!equipment) {
+        return;
+      }
+
+      const fields = changedFields(equipment, nextEquipment);
+      if (fields.length > 0) {
+        updated.push({ equipment, next: nextEquipment, fields });
+      }
+      if (rebindAll || fields.some(field => SOCKET_FIELDS.includes(field))) {
+        rebind.push(equipment);
+      }
+    });
+
+    // 1. Close or leave the sockets that go away or change (first, so ports can be swapped)
+    removed.forEach(equipment => udpListener.removeEquipment(equipment.id));
+    rebind.forEach(equipment => udpListener.detachEquipment(equipment.id));
+
+    // 2. Update the running config
+    removed.forEach(equipment => {
+      config.removeEquipment(equipment.id);
+      alarmManager.clearEquipment(equipment.id);
+      equipmentManager.removeEquipment(equipment.id);
+    });
+    updated.forEach(({ equipment, next: nextEquipment, fields }) => {
+      if (fields.includes('port')) {
+        packetStats.reset(equipment.id);
+      }
+      Object.keys(equipment).filter(key => !(key in nextEquipment)).forEach(key => delete equipment[key]);
+      Object.assign(equipment, nextEquipment);
+    });
+    added.forEach(equipment => config.addEquipment(equipment));
+    Object.assign(config.server, nextServer);
+
+    // Keep the file's order
+    const order = new Map(next.map((eq, index) => [eq.id, index]));
+    config.getAllEquipment().sort((a, b) => order.get(a.id) - order.get(b.id));
+
+    // 3. Start the new and changed sockets
+    [...rebind, ...added]
+      .filter(equipment => equipment.enabled !== false)
+      .forEach(equipment => udpListener.startEquipmentListener(equipment));
+
+    // 4. Keep open dashboards in sync
+    const timestamp = new Date().toISOString();
+
+    added.forEach(equipment => websocketServer.broadcast({
+      type: 'equipment_added',
+      data: equipment,
+      timestamp
+    }));
+
+    updated.forEach(({ equipment, fields }) => websocketServer.broadcast({
+      type: 'equipment_updated',
+      data: {
+        id: equipment.id,
+        equipment,
+        changes: Object.fromEntries(fields.map(field => [field, equipment[field] === undefined ? null : equipment[field]]))
+      },
+      timestamp
+    }));
+
+    removed.forEach(equipment => websocketServer.broadcast({
+      type: 'equipment_removed',
+      data: {
+        id: equipment.id,
+        name: equipment.name
+      },
+      timestamp
+    }));
+
+    return {
+      added: added.map(eq => eq.id),
+      updated: updated.map(({ equipment }) => equipment.id),
+      removed: removed.map(eq => eq.id)
+    };
+  }
+}
+
+module.exports = new ConfigReloader();
@@ -3,41 +3,290 @@
  * Manages equipment state and history
  */
 
+const config = require('./config');
+const historyStore = require('./historyStore');
+const flapDetector = require('./flapDetector');
+const changeoverTracker = require('./changeoverTracker');
+
 class EquipmentManager {
   constructor() {
     this.equipmentStatus = new Map();
     this.eventHistory = new Map();
+    this.rejectionStats = new Map(); // Map<equipmentId, {total, byReason, last}>
+    this.activeBreaches = new Map(); // Map<equipmentId, Map<ruleId, breach>>
+    this.unconfirmed = new Map(); // Map<equipmentId, restore time> restored as connected, no packet since
     this.maxHistorySize = 100; // Keep last 100 events per equipment
   }
 
   /**
    * Updates equipment status
+   * Transitions are recorded separately (recordTransitions). Every status is only
+   * kept in history with raw samples enabled globally (HISTORY_RAW_SAMPLES) or for
+   * the equipment (rawHistory)
    */
   updateStatus(equipmentId, statusData) {
     const timestamp = new Date().toISOString();
+    const previous = this.equipmentStatus.get(equipmentId) || null;
+    const since = (field, sinceField) => previous && previous[field] === statusData[field]
+      ? previous[sinceField] || previous.timestamp
+      : timestamp;
+    const channels = (statusData.channels || []).map(channel => ({
+      id: channel.id,
+      name: channel.name,
+      valid: channel.valid,
+      path: channel.valid ? channel.path : null,
+      status: channel.valid ? channel.status : null,
+      rawByte: channel.rawByte,
+      reason: channel.reason || null
+    }));
+    const channelsSwapped = previous ? this.getSwappedChannels(previous.channels, channels).length > 0 : false;
     
     const status = {
       equipmentId,
       path: statusData.path,
       status: statusData.status,
+      fields: statusData.fields || {},
+      channels,
+      aggregate: statusData.aggregate || null,
+      parameters: statusData.parameters || [],
+      derivedStatus: statusData.derivedStatus || 'NORMAL',
+      ruleBreaches: statusData.ruleBreaches || [],
+      sequence: statusData.sequence !== undefined ? statusData.sequence : null,
+      packetStats: statusData.packetStats || null,
+      icdProfile: statusData.profile || null,
       timestamp,
       lastUpdate: timestamp,
       connected: true,
+      late: false,
+      flapping: false,
+      changeovers: changeoverTracker.getSummary(equipmentId),
       rawData: statusData.rawByte !== undefined ? statusData.rawByte : null,
       sourceIP: statusData.sourceIP || null,
       sourcePort: statusData.sourcePort || null,
-      listenPort: statusData.listenPort || null
+      listenPort: statusData.listenPort || null,
+      rejections: this.getRejectionStats(equipmentId),
+      statusSince: since('status', 'statusSince'),
+      pathSince: channelsSwapped ? timestamp : since('path', 'pathSince'),
+      connectedSince: previous && previous.connected ? previous.connectedSince || previous.timestamp : timestamp
     };
 
     // Update current status
     this.equipmentStatus.set(equipmentId, status);
+    this.unconfirmed.delete(equipmentId);
+    historyStore.snapshotStatus(equipmentId, status);
 
-    // Add to history
-    this.addToHistory(equipmentId, status);
+    const equipment = config.getEquipmentById(equipmentId);
+    if (config.history.rawSamples || (equipment && equipment.rawHistory)) {
+      this.addToHistory(equipmentId, status);
+    }
 
     return status;
   }
 
+  /**
+   * Records what changed between two consecutive statuses
+   * The first status ever received is recorded as a status change from null (its
+   * `path` is the first path). A changeover is a change of the overall path
+   * or of a channel's path (e.g. TX1 and TX2 swapping with the overall path still
+   * ACTIVE). While the equipment is flapping, status changes and changeovers are
+   * only counted (in the episode and the changeover counts)
+   * @param {string} equipmentId - Equipment ID
+   * @param {object|null} previous - Status before updateStatus
+   * @param {object} status - Status returned by updateStatus
+   * @returns {Array} - Events [{type: 'connection_restored'|'status_change'|'changeover'|'flapping_started', ...}]
+   */
+  recordTransitions(equipmentId, previous, status) {
+    const events = [];
+
+    if (previous && previous.connected === false) {
+      const restored = this.buildTransition('connection_restored', previous, status, {
+        from: false,
+        to: true,
+        since: previous.disconnectedSince || previous.lastUpdate
+      });
+      restored.silenceMs = restored.durationMs;
+      events.push(restored);
+    }
+
+    if (!previous || previous.status !== status.status) {
+      events.push(this.buildTransition('status_change', previous, status, {
+        from: previous ? previous.status : null,
+        to: status.status,
+        since: previous ? previous.statusSince || previous.timestamp : null
+      }));
+    }
+
+    const swapped = previous ? this.getSwappedChannels(previous.channels, status.channels) : [];
+    if (previous && (previous.path !== status.path || swapped.length > 0)) {
+      const changeover = this.buildTransition('changeover', previous, status, {
+        from: previous.path,
+        to: status.path,
+        since: previous.pathSince || previous.timestamp
+      });
+      changeover.channels = swapped;
+      changeover.expected = changeoverTracker.isExpected(equipmentId, status.path);
+      status.changeovers = changeoverTracker.record(equipmentId, changeover);
+      events.push(changeover);
+    }
+
+    const recorded = [];
+    events.forEach(event => {
+      const toggle = previous && (event.type === 'status_change' || event.type === 'changeover');
+      if (toggle && flapDetector.isFlapping(equipmentId)) {
+        flapDetector.record(equipmentId, event);
+        return;
+      }
+
+      recorded.push(event);
+      const started = toggle ? flapDetector.record(equipmentId, event) : null;
+      if (started) {
+        recorded.push(started);
+      }
+    });
+
+    recorded.forEach(event => this.addToHistory(equipmentId, event));
+    status.flapping = flapDetector.isFlapping(equipmentId);
+
+    return recorded;
+  }
+
+  /**
+   * Lists the channels whose path changed (channels valid in both statuses)
+   * @returns {Array} - [{id, name, from, to}]
+   */
+  getSwappedChannels(previousChannels = [], channels = []) {
+    return channels
+      .filter(channel => channel.valid)
+      .map(channel => ({ channel, before: previousChannels.find(prev => prev.id === channel.id && prev.valid) }))
+      .filter(({ channel, before }) => before && before.path !== channel.path)
+      .map(({ channel, before }) => ({ id: channel.id, name: channel.name, from: before.path, to: channel.path }));
+  }
+
+  /**
+   * Ends flapping episodes of equipment that calmed down
+   * @returns {Array} - flapping_ended events (with the number of toggles during the episode)
+   */
+  checkFlapping() {
+    const events = flapDetector.check();
+
+    events.forEach(event => {
+      const status = this.equipmentStatus.get(event.equipmentId);
+      if (status) {
+        status.flapping = false;
+      }
+      this.addToHistory(event.equipmentId, event);
+    });
+
+    return events;
+  }
+
+  /**
+   * Builds a transition event
+   * durationMs is how long the previous state lasted (null when there was none)
+   * @param {string} type - Transition type
+   * @param {object|null} previous - Status before the transition
+   * @param {object} status - Status after the transition
+   * @param {object} change - {from, to, since} where since is when the previous state began
+   */
+  buildTransition(type, previous, status, change) {
+    const timestamp = status.lastUpdate;
+    return {
+      type,
+      equipmentId: status.equipmentId,
+      from: change.from,
+      to: change.to,
+      since: change.since,
+      durationMs: change.since ? Date.parse(timestamp) - Date.parse(change.since) : null,
+      previous: previous ? {
+        status: previous.status,
+        path: previous.path,
+        connected: previous.connected
+      } : null,
+      status: status.status,
+      path: status.path,
+      timestamp
+    };
+  }
+
+  /**
+   * Tracks threshold rule breaches and records an event when one starts or clears
+   * A breach that changes level (WARNING <-> ALARM) is recorded as a new breach event
+   * @param {string} equipmentId - Equipment ID
+   * @param {Array} breaches - Current breaches from ruleEngine.evaluate
+   * @returns {Array} - Events [{type: 'rule_breach'|'rule_cleared', ...}]
+   */
+  updateRuleBreaches(equipmentId, breaches) {
+    if (!this.activeBreaches.has(equipmentId)) {
+      this.activeBreaches.set(equipmentId, new Map());
+    }
+
+    const active = this.activeBreaches.get(equipmentId);
+    const timestamp = new Date().toISOString();
+    const events = [];
+
+    breaches.forEach(breach => {
+      const previous = active.get(breach.ruleId);
+      if (!previous || previous.level !== breach.level) {
+        events.push({ type: 'rule_breach', equipmentId, ...breach, since: timestamp, timestamp });
+        active.set(breach.ruleId, { ...breach, since: timestamp });
+      }
+    });
+
+    for (const [ruleId, previous] of active) {
+      if (!breaches.some(breach => breach.ruleId === ruleId)) {
+        events.push({
+          type: 'rule_cleared',
+          equipmentId,
+          ruleId,
+          ruleName: previous.ruleName,
+          parameter: previous.parameter,
+          parameterName: previous.parameterName,
+          previousLevel: previous.level,
+          since: previous.since,
+          timestamp
+        });
+        active.delete(ruleId);
+      }
+    }
+
+    events.forEach(event => this.addToHistory(equipmentId, event));
+
+    return events;
+  }
+
+  /**
+   * Records a rejected packet and its reason code
+   * @param {string} equipmentId - Equipment ID
+   * @param {object} rejection - {reason, error, sourceIP, sourcePort}
+   * @returns {object} - Updated rejection statistics
+   */
+  recordRejection(equipmentId, rejection) {
+    const stats = this.getRejectionStats(equipmentId);
+
+    stats.total++;
+    stats.byReason[rejection.reason] = (stats.byReason[rejection.reason] || 0) + 1;
+    stats.last = {
+      reason: rejection.reason,
+      error: rejection.error,
+      sourceIP: rejection.sourceIP || null,
+      sourcePort: rejection.sourcePort || null,
+      timestamp: new Date().toISOString()
+    };
+
+    return stats;
+  }
+
+  /**
+   * Gets rejected packet statistics for an equipment
+   */
+  getRejectionStats(equipmentId) {
+    if (!this.rejectionStats.has(equipmentId)) {
+      this.rejectionStats.set(equipmentId, { total: 0, byReason: {}, last: null });
+    }
+
+    return this.rejectionStats.get(equipmentId);
+  }
+
   /**
    * Adds event to history
    */
@@ -53,6 +302,76 @@ class EquipmentManager {
     if (history.length > this.maxHistorySize) {
       history.pop();
     }
+
+    historyStore.append(equipmentId, event);
+  }
+
+  /**
+   * Forgets an equipment removed from the config (status, history, breaches,
+   * rejections and its flapping and changeover tracking)
+   */
+  removeEquipment(equipmentId) {
+    this.equipmentStatus.delete(equipmentId);
+    this.eventHistory.delete(equipmentId);
+    this.activeBreaches.delete(equipmentId);
+    this.rejectionStats.delete(equipmentId);
+    this.unconfirmed.delete(equipmentId);
+    flapDetector.reset(equipmentId);
+    changeoverTracker.reset(equipmentId);
+    historyStore.removeStatus(equipmentId);
+  }
+
+  /**
+   * Restores history and last known status (from the persistent store after a restart)
+   * Restored statuses stay disconnected until the equipment reports again. Equipment
+   * that was connected at shutdown is unconfirmed: its connection is reported lost
+   * once the timeout passes after the restart without a packet
+   * @param {Map} history - Map<equipmentId, events[]> newest first
+   * @param {Map} snapshot - Map<equipmentId, status> saved at shutdown
+   */
+  restore(history, snapshot = new Map()) {
+    const equipmentIds = new Set([...history.keys(), ...snapshot.keys()]);
+
+    for (const equipmentId of equipmentIds) {
+      // Equipment removed while the server was down
+      if (!config.getEquipmentById(equipmentId)) {
+        historyStore.removeStatus(equipmentId);
+        continue;
+      }
+
+      const events = history.get(equipmentId) || [];
+      this.eventHistory.set(equipmentId, events.slice(0, this.maxHistorySize));
+
+      // Older stores only have raw samples
+      const lastStatus = snapshot.get(equipmentId) || events.find(event => !event.type);
+      if (!lastStatus || this.equipmentStatus.has(equipmentId)) {
+        continue;
+      }
+
+      if (lastStatus.connected !== false) {
+        this.unconfirmed.set(equipmentId, Date.now());
+      }
+      this.equipmentStatus.set(equipmentId, {
+        ...lastStatus,
+        connected: false,
+        disconnectedSince: lastStatus.disconnectedSince || lastStatus.lastUpdate,
+        flapping: false, // Flapping detection starts over
+        restored: true
+      });
+      changeoverTracker.restore(equipmentId, lastStatus.changeovers,
+        events.filter(event => event.type === 'changeover').map(event => event.timestamp));
+
+      // Breaches still active at shutdown should not be reported again as new
+      const breaches = lastStatus.ruleBreaches || [];
+      if (breaches.length > 0) {
+        this.activeBreaches.set(equipmentId, new Map(
+          breaches.map(breach => {
+            const started = events.find(event => event.type === 'rule_breach' && event.ruleId === breach.ruleId);
+            return [breach.ruleId, { ...breach, since: started ? started.since : lastStatus.timestamp }];
+          })
+        ));
+      }
+    }
   }
 
   /**
@@ -92,19 +411,103 @@ class EquipmentManager {
   }
 
   /**
-   * Marks equipment as disconnected if no update received
+   * Gets an equipment's heartbeat timing
+   * Late after a missed report (twice the expected interval), lost after the timeout
+   * @param {string} equipmentId - Equipment ID
+   * @param {number} defaultTimeoutMs - Timeout for equipment without timeoutMs
+   * @returns {object} - {expectedIntervalMs (null: no late state), lateAfterMs, timeoutMs}
    */
-  checkConnectionStatus(timeoutMs = 30000) {
+  getTiming(equipmentId, defaultTimeoutMs) {
+    const equipment = config.getEquipmentById(equipmentId) || {};
+    const timeoutMs = equipment.timeoutMs || defaultTimeoutMs;
+    const expectedIntervalMs = equipment.expectedIntervalMs || null;
+
+    return {
+      expectedIntervalMs,
+      lateAfterMs: expectedIntervalMs ? Math.min(expectedIntervalMs * 2, timeoutMs) : null,
+      timeoutMs
+    };
+  }
+
+  /**
+   * Builds the connection_lost event of an equipment silent past its timeout
+   */
+  buildConnectionLost(status, timing, now) {
+    const lastUpdate = Date.parse(status.lastUpdate);
+    const event = this.buildTransition('connection_lost', { ...status, connected: true }, status, {
+      from: true,
+      to: false,
+      since: status.connectedSince || status.lastUpdate
+    });
+
+    event.timestamp = new Date(now).toISOString();
+    event.durationMs = now - Date.parse(event.since);
+    event.lastUpdate = status.lastUpdate;
+    event.silenceMs = now - lastUpdate;
+    event.timeoutMs = timing.timeoutMs;
+    return event;
+  }
+
+  /**
+   * Marks equipment as late or disconnected if no update received
+   * @param {number} defaultTimeoutMs - Timeout for equipment without timeoutMs (server connectionTimeout)
+   * @returns {Array} - connection_late and connection_lost events for equipment that just went quiet
+   */
+  checkConnectionStatus(defaultTimeoutMs = 30000) {
     const now = Date.now();
+    const events = [];
     
     for (const [id, status] of this.equipmentStatus) {
+      if (!config.getEquipmentById(id)) {
+        continue;
+      }
+
       const lastUpdate = new Date(status.lastUpdate).getTime();
+      const timing = this.getTiming(id, defaultTimeoutMs);
+
+      if (status.connected && !status.late && timing.lateAfterMs && now - lastUpdate > timing.lateAfterMs &&
+          now - lastUpdate <= timing.timeoutMs) {
+        const event = {
+          type: 'connection_late',
+          equipmentId: id,
+          lastUpdate: status.lastUpdate,
+          silenceMs: now - lastUpdate,
+          expectedIntervalMs: timing.expectedIntervalMs,
+          timeoutMs: timing.timeoutMs,
+          status: status.status,
+          path: status.path,
+          timestamp: new Date(now).toISOString()
+        };
+
+        status.late = true;
+        this.addToHistory(id, event);
+        events.push(event);
+      }
       
-      if (now - lastUpdate > timeoutMs) {
+      // Restored as connected and still silent after the restart: report the loss once
+      const restoredAt = this.unconfirmed.get(id);
+      if (restoredAt !== undefined && now - restoredAt > timing.timeoutMs) {
+        const event = this.buildConnectionLost(status, timing, now);
+        this.unconfirmed.delete(id);
+        this.addToHistory(id, event);
+        events.push(event);
+      }
+
+      if (status.connected && now - lastUpdate > timing.timeoutMs) {
+        const event = this.buildConnectionLost(status, timing, now);
+
         status.connected = false;
+        status.late = false;
+        status.disconnectedSince = status.lastUpdate;
         this.equipmentStatus.set(id, status);
+        historyStore.snapshotStatus(id, status);
+
+        this.addToHistory(id, event);
+        events.push(event);
       }
     }
+
+    return events;
   }
 
   /**
@@ -113,6 +516,9 @@ class EquipmentManager {
   clear() {
     this.equipmentStatus.clear();
     this.eventHistory.clear();
+    this.rejectionStats.clear();
+    this.activeBreaches.clear();
+    this.unconfirmed.clear();
   }
 }
 
@@ -0,0 +1,144 @@
+/**
+ * Flap Detector
+ * Detects equipment whose status or path keeps toggling: flapping starts at
+ * `transitions` changes within `windowMs` and ends once fewer than half as many
+ * remain in the window
+ */
+
+const config = require('./config');
+
+class FlapDetector {
+  constructor() {
+    this.trackers = new Map(); // Map<equipmentId, {times, episode}>
+  }
+
+  /**
+   * Gets an equipment's thresholds (per-equipment `flapping` overrides the server defaults)
+   * @returns {object|null} - {transitions, windowMs}, null when detection is disabled
+   */
+  getSettings(equipmentId) {
+    const equipment = config.getEquipmentById(equipmentId) || {};
+    if (equipment.flapping === false) {
+      return null;
+    }
+
+    return { ...config.flapping, ...(equipment.flapping || {}) };
+  }
+
+  /**
+   * Records a status or path change
+   * @param {string} equipmentId - Equipment ID
+   * @param {object} transition - status_change or changeover event
+   * @returns {object|null} - flapping_started event when this change starts an episode
+   */
+  record(equipmentId, transition) {
+    const settings = this.getSettings(equipmentId);
+    if (!settings) {
+      return null;
+    }
+
+    const tracker = this.getTracker(equipmentId);
+    const now = Date.parse(transition.timestamp);
+    tracker.times.push(now);
+    tracker.times = tracker.times.filter(time => now - time <= settings.windowMs);
+
+    if (tracker.episode) {
+      tracker.episode.transitions++;
+      tracker.episode.states.add(transition.to);
+      return null;
+    }
+
+    if (tracker.times.length < settings.transitions) {
+      return null;
+    }
+
+    tracker.episode = {
+      since: transition.timestamp,
+      transitions: tracker.times.length,
+      states: new Set([transition.from, transition.to])
+    };
+
+    return {
+      type: 'flapping_started',
+      equipmentId,
+      transitions: tracker.times.length,
+      windowMs: settings.windowMs,
+      threshold: settings.transitions,
+      status: transition.status,
+      path: transition.path,
+      timestamp: transition.timestamp
+    };
+  }
+
+  /**
+   * Ends episodes of equipment that calmed down
+   * @returns {Array} - flapping_ended events
+   */
+  check(now = Date.now()) {
+    const events = [];
+
+    for (const [equipmentId, tracker] of this.trackers) {
+      if (!tracker.episode) {
+        continue;
+      }
+
+      // Detection turned off for the equipment ends its episode right away
+      const settings = this.getSettings(equipmentId);
+      if (settings) {
+        tracker.times = tracker.times.filter(time => now - time <= settings.windowMs);
+        if (tracker.times.length >= Math.ceil(settings.transitions / 2)) {
+          continue;
+        }
+      }
+
+      const { since, transitions, states } = tracker.episode;
+      tracker.episode = null;
+      events.push({
+        type: 'flapping_ended',
+        equipmentId,
+        since,
+        durationMs: now - Date.parse(since),
+        transitions,
+        states: Array.from(states).filter(state => state !== null),
+        timestamp: new Date(now).toISOString()
+      });
+    }
+
+    return events;
+  }
+
+  isFlapping(equipmentId) {
+    const tracker = this.trackers.get(equipmentId);
+    return Boolean(tracker && tracker.episode);
+  }
+
+  /**
+   * Gets the current episode of a flapping equipment
+   * @returns {object|null} - {since, transitions, states}
+   */
+  getEpisode(equipmentId) {
+    const tracker = this.trackers.get(equipmentId);
+    if (!tracker || !tracker.episode) {
+      return null;
+    }
+
+    return { ...tracker.episode, states: Array.from(tracker.episode.states).filter(state => state !== null) };
+  }
+
+  getTracker(equipmentId) {
+    if (!this.trackers.has(equipmentId)) {
+      this.trackers.set(equipmentId, { times: [], episode: null });
+    }
+
+    return this.trackers.get(equipmentId);
+  }
+
+  /**
+   * Forgets an equipment (removed from the config)
+   */
+  reset(equipmentId) {
+    this.trackers.delete(equipmentId);
+  }
+}
+
+module.exports = new FlapDetector();
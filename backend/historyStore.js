@@ -0,0 +1,435 @@
+/**
+ * History Store
+ * Persists equipment events to append-only NDJSON segments (one file per UTC day)
+ * and the latest status of each equipment to a snapshot file, so status and
+ * history survive restarts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+const FILE_PATTERN = /^events-(\d{4}-\d{2}-\d{2})\.ndjson$/;
+const SNAPSHOT_FILE = 'latest-status.json';
+const SNAPSHOT_INTERVAL_MS = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const READ_CHUNK_BYTES = 64 * 1024;
+const RESTORE_MAX_BYTES = 32 * 1024 * 1024; // Newest events read back on startup, at most
+const QUERY_MAX_BYTES = 16 * 1024 * 1024; // Events scanned for one page of a query, at most
+
+/**
+ * Splits the complete lines out of a buffer read backwards from a segment
+ * @param {Buffer} buffer - Bytes read, followed by the start of the line after them
+ * @param {number} start - File offset of the buffer
+ * @returns {object} - {lines: [{line, end}] newest first (end = file offset after the line),
+ *   rest: the first, possibly partial, line}
+ */
+function takeLines(buffer, start) {
+  const lines = [];
+  let lineEnd = buffer.length;
+  let newline = lineEnd > 0 ? buffer.lastIndexOf(0x0a, lineEnd - 1) : -1;
+
+  while (newline !== -1) {
+    if (newline + 1 < lineEnd) {
+      lines.push({ line: buffer.toString('utf8', newline + 1, lineEnd), end: start + lineEnd });
+    }
+    lineEnd = newline;
+    newline = lineEnd > 0 ? buffer.lastIndexOf(0x0a, lineEnd - 1) : -1;
+  }
+
+  return { lines, rest: buffer.subarray(0, lineEnd) };
+}
+
+class HistoryStore {
+  constructor() {
+    this.stream = null;
+    this.segmentDay = null;
+    this.events = 0;
+    this.latestStatus = new Map(); // Map<equipmentId, status> (written to the snapshot file)
+    this.snapshotDirty = false;
+    this.snapshotTimer = null;
+    this.historyDir = path.resolve(config.history.dir);
+  }
+
+  /**
+   * Opens today's segment for appending and deletes segments past retention
+   */
+  start() {
+    fs.mkdirSync(this.historyDir, { recursive: true });
+    this.openSegment(this.getDay(new Date()));
+    this.pruneSegments();
+
+    this.snapshotTimer = setInterval(() => this.writeSnapshot(), SNAPSHOT_INTERVAL_MS);
+    this.snapshotTimer.unref();
+
+    console.log(`[History] 💾 Persisting events to ${this.historyDir} (${config.history.retentionDays} day retention)`);
+  }
+
+  /**
+   * Flushes and closes the current segment
+   */
+  stop() {
+    clearInterval(this.snapshotTimer);
+    this.snapshotTimer = null;
+    this.writeSnapshot();
+
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+      this.segmentDay = null;
+    }
+  }
+
+  /**
+   * Appends an event (no-op until the store is started)
+   * @param {string} equipmentId - Equipment ID
+   * @param {object} event - Status update or typed event
+   */
+  append(equipmentId, event) {
+    if (!this.stream) {
+      return;
+    }
+
+    const day = this.getDay(new Date());
+    if (day !== this.segmentDay) {
+      this.stream.end();
+      this.openSegment(day);
+      this.pruneSegments();
+    }
+
+    const record = event.equipmentId ? event : { equipmentId, ...event };
+    this.stream.write(`${JSON.stringify(record)}\n`);
+    this.events++;
+  }
+
+  /**
+   * Keeps an equipment's latest status for the snapshot file (written every few seconds)
+   */
+  snapshotStatus(equipmentId, status) {
+    if (!this.stream) {
+      return;
+    }
+
+    this.latestStatus.set(equipmentId, status);
+    this.snapshotDirty = true;
+  }
+
+  /**
+   * Drops a removed equipment from the snapshot file
+   */
+  removeStatus(equipmentId) {
+    if (this.latestStatus.delete(equipmentId)) {
+      this.snapshotDirty = true;
+    }
+  }
+
+  /**
+   * Writes the latest statuses (via a temporary file, so a crash never leaves half a snapshot)
+   */
+  writeSnapshot() {
+    if (!this.snapshotDirty) {
+      return;
+    }
+
+    const filePath = path.join(this.historyDir, SNAPSHOT_FILE);
+    try {
+      fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(Object.fromEntries(this.latestStatus)), 'utf8');
+      fs.renameSync(`${filePath}.tmp`, filePath);
+      this.snapshotDirty = false;
+    } catch (error) {
+      console.error(`[History] ❌ Status snapshot failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reads the latest statuses saved before the last shutdown
+   * @returns {Map} - Map<equipmentId, status>
+   */
+  loadSnapshot() {
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(path.join(this.historyDir, SNAPSHOT_FILE), 'utf8'));
+      this.latestStatus = new Map(Object.entries(snapshot));
+    } catch (error) {
+      // No snapshot yet (first start) or unreadable
+    }
+
+    return new Map(this.latestStatus);
+  }
+
+  /**
+   * Reads the most recent events per equipment, newest first
+   * Segments are read backwards from the newest until every listed equipment has `limit`
+   * events, or RESTORE_MAX_BYTES were read (equipment silent for long keep fewer events)
+   * Runs once on startup, before any packet is received
+   * @param {number} limit - Events kept per equipment
+   * @param {Array} equipmentIds - Equipment to restore (stops reading early once all are full)
+   * @returns {Map} - Map<equipmentId, events[]>
+   */
+  loadRecent(limit, equipmentIds = []) {
+    const history = new Map();
+    const isFull = () => equipmentIds.length > 0 &&
+      equipmentIds.every(id => (history.get(id) || []).length >= limit);
+    let bytesRead = 0;
+
+    for (const segment of this.listSegments()) {
+      for (const { line } of this.readLinesBackwardSync(segment.name)) {
+        bytesRead += line.length + 1;
+        if (bytesRead > RESTORE_MAX_BYTES) {
+          return history;
+        }
+
+        const event = this.parseLine(line);
+        const events = event ? history.get(event.equipmentId) || [] : null;
+        if (!events || events.length >= limit) {
+          continue;
+        }
+
+        events.push(event);
+        history.set(event.equipmentId, events);
+        if (isFull()) {
+          return history;
+        }
+      }
+    }
+
+    return history;
+  }
+
+  /**
+   * Reads a segment's lines from its end back, a chunk at a time
+   * @param {string} name - Segment file name
+   * @yields {object} - {line, end} (end = file offset after the line)
+   */
+  *readLinesBackwardSync(name) {
+    const fd = fs.openSync(path.join(this.historyDir, name), 'r');
+
+    try {
+      let position = fs.fstatSync(fd).size;
+      let rest = Buffer.alloc(0);
+
+      while (position > 0) {
+        const size = Math.min(READ_CHUNK_BYTES, position);
+        const chunk = Buffer.alloc(size);
+        position -= size;
+        fs.readSync(fd, chunk, 0, size, position);
+
+        const taken = takeLines(Buffer.concat([chunk, rest]), position);
+        yield* taken.lines;
+        rest = taken.rest;
+      }
+
+      if (rest.length > 0) {
+        yield { line: rest.toString('utf8'), end: rest.length };
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Reads a segment's lines from a position back, a chunk at a time, without blocking
+   * @param {string} name - Segment file name
+   * @param {number} end - File offset to read back from (default: the end of the file)
+   * @yields {object} - {line, end} (end = file offset after the line)
+   */
+  async *readLinesBackward(name, end = null) {
+    const handle = await fs.promises.open(path.join(this.historyDir, name), 'r');
+
+    try {
+      let position = end === null ? (await handle.stat()).size : end;
+      let rest = Buffer.alloc(0);
+
+      while (position > 0) {
+        const size = Math.min(READ_CHUNK_BYTES, position);
+        const chunk = Buffer.alloc(size);
+        position -= size;
+        await handle.read(chunk, 0, size, position);
+
+        const taken = takeLines(Buffer.concat([chunk, rest]), position);
+        yield* taken.lines;
+        rest = taken.rest;
+      }
+
+      if (rest.length > 0) {
+        yield { line: rest.toString('utf8'), end: rest.length };
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Queries the persisted events, newest first
+   * Pages continue from an opaque cursor (the position of the next event to read),
+   * which stays valid while new events are appended. A page stops after scanning
+   * QUERY_MAX_BYTES, so a rare match in a long range can come with fewer events
+   * (even none) and a cursor to carry on
+   * @param {object} filters - {equipmentIds?, from?, to?, types?, statuses?, paths?, limit, cursor?}
+   *   (from/to in epoch ms, lists match any of their values)
+   * @returns {Promise<object>} - {events, nextCursor} (nextCursor null on the last page)
+   */
+  async query(filters) {
+    const events = [];
+    let bytesRead = 0;
+    const position = filters.cursor ? this.decodeCursor(filters.cursor) : null;
+    const firstDay = filters.from !== undefined ? this.getDay(new Date(filters.from)) : null;
+    const lastDay = filters.to !== undefined ? this.getDay(new Date(filters.to)) : null;
+
+    const segments = this.listSegments().filter(segment =>
+      (!firstDay || segment.day >= firstDay) &&
+      (!lastDay || segment.day <= lastDay) &&
+      (!position || segment.day <= position.day)
+    );
+
+    for (const segment of segments) {
+      const start = position && segment.day === position.day ? Math.min(position.offset, segment.size) : null;
+
+      for await (const { line, end } of this.readLinesBackward(segment.name, start)) {
+        if (bytesRead >= QUERY_MAX_BYTES) {
+          return { events, nextCursor: this.encodeCursor(segment.day, end) };
+        }
+        bytesRead += line.length + 1;
+
+        const event = this.parseLine(line);
+        if (!event || !this.matches(event, filters)) {
+          continue;
+        }
+
+        if (events.length === filters.limit) {
+          return { events, nextCursor: this.encodeCursor(segment.day, end) };
+        }
+        events.push(event);
+      }
+    }
+
+    return { events, nextCursor: null };
+  }
+
+  /**
+   * Checks an event against query filters (see query)
+   */
+  matches(event, filters) {
+    const time = Date.parse(event.timestamp);
+    const anyOf = (values, value) => !values || values.includes(value);
+
+    return anyOf(filters.equipmentIds, event.equipmentId) &&
+      anyOf(filters.types, event.type || 'sample') &&
+      anyOf(filters.statuses, event.status) &&
+      anyOf(filters.paths, event.path) &&
+      (filters.from === undefined || time >= filters.from) &&
+      (filters.to === undefined || time <= filters.to);
+  }
+
+  /**
+   * Encodes a position in the event log (continue with the line ending at `offset` of a day's segment)
+   */
+  encodeCursor(day, offset) {
+    return Buffer.from(`${day}:${offset}`).toString('base64url');
+  }
+
+  /**
+   * Decodes a cursor from encodeCursor
+   * @returns {object|null} - {day, offset}, null if the cursor is invalid
+   */
+  decodeCursor(cursor) {
+    const match = Buffer.from(String(cursor), 'base64url').toString().match(/^(\d{4}-\d{2}-\d{2}):(\d+)$/);
+    return match ? { day: match[1], offset: parseInt(match[2]) } : null;
+  }
+
+  /**
+   * Parses one NDJSON line (null for blank or truncated lines, e.g. after a crash)
+   */
+  parseLine(line) {
+    if (!line) {
+      return null;
+    }
+
+    try {
+      const event = JSON.parse(line);
+      return event && event.equipmentId ? event : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Opens a day's segment, terminating a line left unfinished by a crash
+   */
+  openSegment(day) {
+    const filePath = path.join(this.historyDir, `events-${day}.ndjson`);
+
+    if (fs.existsSync(filePath)) {
+      const { size } = fs.statSync(filePath);
+      if (size > 0) {
+        const lastByte = Buffer.alloc(1);
+        const fd = fs.openSync(filePath, 'r');
+        fs.readSync(fd, lastByte, 0, 1, size - 1);
+        fs.closeSync(fd);
+        if (lastByte[0] !== 0x0a) {
+          fs.appendFileSync(filePath, '\n');
+        }
+      }
+    }
+
+    this.stream = fs.createWriteStream(filePath, { flags: 'a' });
+    this.stream.on('error', error => {
+      console.error(`[History] ❌ Write failed, persistence stopped: ${error.message}`);
+      this.stream = null;
+    });
+    this.segmentDay = day;
+  }
+
+  /**
+   * Deletes segments older than the retention period
+   */
+  pruneSegments() {
+    const oldest = this.getDay(new Date(Date.now() - (config.history.retentionDays - 1) * DAY_MS));
+
+    this.listSegments()
+      .filter(segment => segment.day < oldest)
+      .forEach(segment => {
+        fs.unlinkSync(path.join(this.historyDir, segment.name));
+        console.log(`[History] Deleted ${segment.name} (older than ${config.history.retentionDays} days)`);
+      });
+  }
+
+  /**
+   * Lists history segments, newest first
+   * @returns {Array} - [{name, day, size}]
+   */
+  listSegments() {
+    if (!fs.existsSync(this.historyDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.historyDir)
+      .filter(name => FILE_PATTERN.test(name))
+      .map(name => ({
+        name,
+        day: name.match(FILE_PATTERN)[1],
+        size: fs.statSync(path.join(this.historyDir, name)).size
+      }))
+      .sort((a, b) => b.day.localeCompare(a.day));
+  }
+
+  /**
+   * Gets the UTC day (YYYY-MM-DD) a segment covers
+   */
+  getDay(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  getStatus() {
+    const segments = this.listSegments();
+    return {
+      persisting: this.stream !== null,
+      dir: this.historyDir,
+      retentionDays: config.history.retentionDays,
+      segments: segments.length,
+      bytes: segments.reduce((sum, segment) => sum + segment.size, 0),
+      eventsWritten: this.events
+    };
+  }
+}
+
+module.exports = new HistoryStore();
@@ -1,62 +1,119 @@
 /**
  * ICD Monitor Byte Decoder
  * Decodes ICD-defined monitor bytes from UDP payload
+ * Bit layout is taken from the equipment's ICD profile (see icdProfiles.js)
  */
 
+const icdProfiles = require('./icdProfiles');
+const statusAggregator = require('./statusAggregator');
+
+/**
+ * Reason codes for rejected packets
+ */
+const REJECT_REASONS = {
+  TOO_SHORT: 'TOO_SHORT',
+  NO_SYNC: 'NO_SYNC',
+  BAD_VERSION: 'BAD_VERSION',
+  LENGTH_MISMATCH: 'LENGTH_MISMATCH',
+  BAD_CHECKSUM: 'BAD_CHECKSUM',
+  INVALID_MONITOR_BYTE: 'INVALID_MONITOR_BYTE',
+  NO_MONITOR_BYTE: 'NO_MONITOR_BYTE'
+};
+
+/**
+ * Buffer accessor names per parameter type (read/write + endian suffix)
+ */
+const BUFFER_ACCESSORS = {
+  uint8: 'UInt8',
+  int8: 'Int8',
+  uint16: 'UInt16',
+  int16: 'Int16',
+  uint32: 'UInt32',
+  int32: 'Int32',
+  float32: 'Float',
+  float64: 'Double'
+};
+
+/**
+ * Returns the Buffer method name for a parameter, e.g. readInt16BE
+ */
+function bufferMethod(op, parameter) {
+  const accessor = BUFFER_ACCESSORS[parameter.type];
+  return parameter.size === 1
+    ? `${op}${accessor}`
+    : `${op}${accessor}${parameter.endian === 'little' ? 'LE' : 'BE'}`;
+}
+
+/**
+ * Formats a byte as 0xNN
+ */
+function hex(value, width = 2) {
+  return '0x' + value.toString(16).toUpperCase().padStart(width, '0');
+}
+
 class ICDDecoder {
   /**
    * Validates if a byte is a valid monitor byte
-   * Valid condition: B7 = 1 AND B6 = 0
-   * Binary pattern: 10xxxxxx
+   * Valid condition: (byte & validity.mask) === validity.value
+   * Default profile binary pattern: 10xxxxxx
+   */
+  isValidMonitorByte(byte, profile = icdProfiles.getDefaultProfile()) {
+    const { mask, value } = profile.monitorByte.validity;
+    return (byte & mask) === value;
+  }
+
+  /**
+   * Extracts the raw numeric value of a profile field from a byte
+   */
+  extractField(byte, field) {
+    return (byte & field.mask) >> field.shift;
+  }
+
+  /**
+   * Decodes a profile field to its enum label
    */
-  isValidMonitorByte(byte) {
-    // Check if B7 is 1 and B6 is 0
-    // B7 = 1 means byte >= 128 (0x80)
-    // B6 = 0 means byte < 192 (0xC0)
-    return (byte & 0x80) === 0x80 && (byte & 0x40) === 0x00;
+  decodeField(byte, field) {
+    const value = this.extractField(byte, field);
+    return field.values[value] !== undefined ? field.values[value] : 'UNKNOWN';
   }
 
   /**
    * Decodes the Active/Standby state from a monitor byte
-   * B5: 0 = STANDBY, 1 = ACTIVE
+   * Default profile B5: 0 = STANDBY, 1 = ACTIVE
    */
-  decodeActiveStandby(byte) {
-    return (byte & 0x20) ? 'ACTIVE' : 'STANDBY';
+  decodeActiveStandby(byte, profile = icdProfiles.getDefaultProfile()) {
+    return this.decodeField(byte, profile.monitorByte.fields.path);
   }
 
   /**
    * Decodes the status from a monitor byte
-   * B4, B3: 00 = NORMAL, 01 = WARNING, 10 = ALARM, 11 = FAULT
-   */
-  decodeStatus(byte) {
-    const statusBits = (byte >> 3) & 0x03;
-    
-    switch (statusBits) {
-      case 0b00:
-        return 'NORMAL';
-      case 0b01:
-        return 'WARNING';
-      case 0b10:
-        return 'ALARM';
-      case 0b11:
-        return 'FAULT';
-      default:
-        return 'UNKNOWN';
-    }
+   * Default profile B4, B3: 00 = NORMAL, 01 = WARNING, 10 = ALARM, 11 = FAULT
+   */
+  decodeStatus(byte, profile = icdProfiles.getDefaultProfile()) {
+    return this.decodeField(byte, profile.monitorByte.fields.status);
   }
 
   /**
    * Decodes a complete monitor byte
    */
-  decodeByte(byte) {
-    if (!this.isValidMonitorByte(byte)) {
+  decodeByte(byte, profile = icdProfiles.getDefaultProfile()) {
+    if (!this.isValidMonitorByte(byte, profile)) {
       return null;
     }
 
+    // Any additional fields declared by the profile beyond path/status
+    const fields = {};
+    Object.entries(profile.monitorByte.fields).forEach(([name, field]) => {
+      if (name !== 'path' && name !== 'status') {
+        fields[name] = this.decodeField(byte, field);
+      }
+    });
+
     return {
       valid: true,
-      path: this.decodeActiveStandby(byte),
-      status: this.decodeStatus(byte),
+      path: this.decodeActiveStandby(byte, profile),
+      status: this.decodeStatus(byte, profile),
+      fields,
       rawByte: byte,
       binaryRepresentation: byte.toString(2).padStart(8, '0')
     };
@@ -66,13 +123,13 @@ class ICDDecoder {
    * Decodes a UDP payload and extracts monitor bytes
    * Returns the first valid monitor byte found
    */
-  decodePayload(buffer) {
+  decodePayload(buffer, profile = icdProfiles.getDefaultProfile()) {
     const results = [];
-    
+
     for (let i = 0; i < buffer.length; i++) {
       const byte = buffer[i];
-      const decoded = this.decodeByte(byte);
-      
+      const decoded = this.decodeByte(byte, profile);
+
       if (decoded) {
         results.push({
           ...decoded,
@@ -85,58 +142,514 @@ class ICDDecoder {
   }
 
   /**
-   * Decodes UDP payload and returns the most relevant monitor byte
-   * (First valid byte or aggregate status)
+   * Computes a frame checksum over the given bytes
+   * xor8: XOR of all bytes, sum8: sum modulo 256, crc16-ccitt: poly 0x1021, init 0xFFFF
+   */
+  computeChecksum(type, bytes) {
+    switch (type) {
+      case 'xor8':
+        return bytes.reduce((acc, byte) => acc ^ byte, 0);
+      case 'sum8':
+        return bytes.reduce((acc, byte) => (acc + byte) & 0xFF, 0);
+      case 'crc16-ccitt': {
+        let crc = 0xFFFF;
+        for (const byte of bytes) {
+          crc ^= byte << 8;
+          for (let bit = 0; bit < 8; bit++) {
+            crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+          }
+        }
+        return crc;
+      }
+      default:
+        throw new Error(`Unsupported checksum type '${type}'`);
+    }
+  }
+
+  /**
+   * Locates and validates a frame according to the profile's frame definition
+   * Checks sync word, minimum length, version byte, declared length and checksum
+   * Returns { valid, frame, syncOffset, checksum } or { valid: false, reason, error }
    */
-  decodePacket(buffer) {
-    const validBytes = this.decodePayload(buffer);
-    
-    if (validBytes.length === 0) {
+  parseFrame(buffer, profile = icdProfiles.getDefaultProfile()) {
+    const frameDef = profile.frame;
+
+    if (!frameDef) {
+      return { valid: true, frame: buffer, syncOffset: null, checksum: null };
+    }
+
+    const syncOffset = buffer.indexOf(Buffer.from(frameDef.sync));
+    if (syncOffset === -1) {
       return {
         valid: false,
-        error: 'No valid monitor bytes found in payload'
+        reason: REJECT_REASONS.NO_SYNC,
+        error: `Sync word ${frameDef.sync.map(b => hex(b)).join(' ')} not found`
       };
     }
 
-    // Return the first valid monitor byte
-    // In production, you might want to implement more sophisticated logic
-    // (e.g., voting, priority-based selection, etc.)
-    return validBytes[0];
+    let frame = buffer.subarray(syncOffset);
+
+    if (frame.length < frameDef.minLength) {
+      return {
+        valid: false,
+        reason: REJECT_REASONS.TOO_SHORT,
+        syncOffset,
+        error: `Frame is ${frame.length} bytes, minimum is ${frameDef.minLength}`
+      };
+    }
+
+    if (frameDef.version) {
+      const version = frame[frameDef.version.offset];
+      if (!frameDef.version.values.includes(version)) {
+        return {
+          valid: false,
+          reason: REJECT_REASONS.BAD_VERSION,
+          syncOffset,
+          error: `Unsupported version ${hex(version)}`
+        };
+      }
+    }
+
+    if (frameDef.length) {
+      const declaredLength = frame[frameDef.length.offset];
+      if (declaredLength < frameDef.minLength || declaredLength > frame.length) {
+        return {
+          valid: false,
+          reason: REJECT_REASONS.LENGTH_MISMATCH,
+          syncOffset,
+          error: `Declared length ${declaredLength}, received ${frame.length} bytes`
+        };
+      }
+      // Ignore anything trailing the declared frame
+      frame = frame.subarray(0, declaredLength);
+    }
+
+    let checksum = null;
+    if (frameDef.checksum) {
+      const { type, size, start } = frameDef.checksum;
+      const offset = frameDef.checksum.offset < 0
+        ? frame.length + frameDef.checksum.offset
+        : frameDef.checksum.offset;
+
+      const expected = this.computeChecksum(type, frame.subarray(start, offset));
+      const received = size === 2 ? frame.readUInt16BE(offset) : frame[offset];
+
+      checksum = {
+        type,
+        offset,
+        expected,
+        received,
+        valid: expected === received
+      };
+
+      if (!checksum.valid) {
+        return {
+          valid: false,
+          reason: REJECT_REASONS.BAD_CHECKSUM,
+          syncOffset,
+          checksum,
+          error: `Checksum mismatch (${type}): expected ${hex(expected, size * 2)}, got ${hex(received, size * 2)}`
+        };
+      }
+    }
+
+    return { valid: true, frame, syncOffset, checksum };
+  }
+
+  /**
+   * Decodes the monitor byte of every channel declared by the profile
+   * Offsets are relative to the frame start (or the payload start if unframed)
+   */
+  decodeChannels(data, profile = icdProfiles.getDefaultProfile()) {
+    return profile.channels.map(channel => {
+      const byte = data[channel.offset];
+
+      if (byte === undefined) {
+        return {
+          id: channel.id,
+          name: channel.name,
+          valid: false,
+          position: channel.offset,
+          rawByte: null,
+          reason: REJECT_REASONS.TOO_SHORT
+        };
+      }
+
+      const decoded = this.decodeByte(byte, profile);
+      if (!decoded) {
+        return {
+          id: channel.id,
+          name: channel.name,
+          valid: false,
+          position: channel.offset,
+          rawByte: byte,
+          binaryRepresentation: byte.toString(2).padStart(8, '0'),
+          reason: REJECT_REASONS.INVALID_MONITOR_BYTE
+        };
+      }
+
+      return {
+        id: channel.id,
+        name: channel.name,
+        ...decoded,
+        position: channel.offset
+      };
+    });
+  }
+
+  /**
+   * Decodes the analog parameters declared by the profile
+   * value = raw * scale + bias, checked against the profile's tolerance limits
+   */
+  decodeParameters(data, profile = icdProfiles.getDefaultProfile()) {
+    return profile.parameters.map(parameter => {
+      const result = {
+        id: parameter.id,
+        name: parameter.name,
+        unit: parameter.unit,
+        decimals: parameter.decimals,
+        nominal: parameter.nominal,
+        limits: parameter.limits,
+        value: null,
+        raw: null,
+        withinLimits: null
+      };
+
+      if (parameter.offset + parameter.size > data.length) {
+        return result;
+      }
+
+      const raw = data[bufferMethod('read', parameter)](parameter.offset);
+      const value = Number((raw * parameter.scale + parameter.bias).toFixed(parameter.decimals));
+      const { min, max } = parameter.limits;
+
+      return {
+        ...result,
+        raw,
+        value,
+        withinLimits: (min === null || value >= min) && (max === null || value <= max)
+      };
+    });
+  }
+
+  /**
+   * Decodes UDP payload into per-channel monitor bytes
+   * Profiles with channels read each channel's byte at its fixed offset,
+   * unframed profiles without channels report every valid byte as its own channel
+   * @param {Buffer} buffer - UDP payload
+   * @param {object} profile - ICD profile
+   * @param {object} aggregation - Equipment aggregation config (see statusAggregator.js)
+   */
+  decodePacket(buffer, profile = icdProfiles.getDefaultProfile(), aggregation = {}) {
+    const parsed = this.parseFrame(buffer, profile);
+
+    if (!parsed.valid) {
+      return {
+        valid: false,
+        profile: profile.id,
+        reason: parsed.reason,
+        error: parsed.error
+      };
+    }
+
+    const channels = profile.channels
+      ? this.decodeChannels(parsed.frame, profile)
+      : this.decodePayload(buffer, profile).map(decoded => ({
+          id: `byte${decoded.position}`,
+          name: `Byte ${decoded.position}`,
+          ...decoded
+        }));
+
+    const validChannels = channels.filter(channel => channel.valid);
+
+    if (validChannels.length === 0) {
+      if (!profile.channels) {
+        return {
+          valid: false,
+          profile: profile.id,
+          reason: REJECT_REASONS.NO_MONITOR_BYTE,
+          error: 'No valid monitor bytes found in payload'
+        };
+      }
+
+      return {
+        valid: false,
+        profile: profile.id,
+        reason: REJECT_REASONS.INVALID_MONITOR_BYTE,
+        error: channels
+          .map(channel => `${channel.name} @${channel.position}: ${channel.rawByte !== null ? hex(channel.rawByte) : 'missing'}`)
+          .join(', ') + ' - no valid monitor byte'
+      };
+    }
+
+    const parameters = this.decodeParameters(parsed.frame, profile);
+    const sequence = this.decodeSequence(parsed.frame, profile);
+
+    // Overall path/status comes from the equipment's aggregation policy
+    const aggregate = statusAggregator.aggregate(channels, aggregation);
+    const primary = validChannels.find(channel => channel.id === aggregate.channels[0]) || validChannels[0];
+
+    return {
+      valid: true,
+      path: aggregate.path,
+      status: aggregate.status,
+      fields: primary.fields,
+      rawByte: primary.rawByte,
+      binaryRepresentation: primary.binaryRepresentation,
+      position: primary.position,
+      channels,
+      aggregate,
+      parameters,
+      sequence,
+      profile: profile.id
+    };
+  }
+
+  /**
+   * Reads the frame sequence counter, if the profile declares one
+   * @returns {number|null} - Sequence number
+   */
+  decodeSequence(data, profile = icdProfiles.getDefaultProfile()) {
+    const sequence = profile.frame && profile.frame.sequence;
+    if (!sequence || sequence.offset + sequence.size > data.length) {
+      return null;
+    }
+
+    return data[bufferMethod('read', sequence)](sequence.offset);
+  }
+
+  /**
+   * Explains how a packet is decoded, byte by byte
+   * Each byte is labelled with its role in the frame (sync, version, length,
+   * channel, parameter, sequence, checksum, payload) and every byte is checked
+   * against the monitor byte validity mask
+   * @param {Buffer} buffer - UDP payload
+   * @param {object} profile - ICD profile
+   * @param {object} aggregation - Equipment aggregation config
+   * @returns {object} - {valid, reason, error, profile, frame, bytes, result}
+   */
+  explainPacket(buffer, profile = icdProfiles.getDefaultProfile(), aggregation = {}) {
+    const result = this.decodePacket(buffer, profile, aggregation);
+    const parsed = this.parseFrame(buffer, profile);
+    const frameDef = profile.frame;
+
+    // Frame bounds within the datagram (whole payload when unframed)
+    const frameStart = frameDef ? (parsed.syncOffset !== undefined ? parsed.syncOffset : null) : 0;
+    const frameEnd = parsed.valid && frameStart !== null ? frameStart + parsed.frame.length : buffer.length;
+    const roles = frameStart !== null ? this.frameRoles(profile, frameEnd - frameStart) : new Map();
+
+    const bytes = Array.from(buffer).map((byte, offset) => {
+      const frameOffset = frameStart !== null ? offset - frameStart : null;
+      const decoded = this.decodeByte(byte, profile);
+      const { mask, value } = profile.monitorByte.validity;
+
+      let role = roles.get(frameOffset) || { role: 'payload' };
+      if (frameStart === null) {
+        role = { role: 'unsynced' };
+      } else if (frameOffset < 0) {
+        role = { role: 'preamble' };
+      } else if (offset >= frameEnd) {
+        role = { role: 'trailing' };
+      }
+
+      const entry = {
+        offset,
+        frameOffset,
+        hex: hex(byte),
+        binary: byte.toString(2).padStart(8, '0'),
+        ...role,
+        validity: {
+          mask: hex(mask),
+          expected: hex(value),
+          actual: hex(byte & mask),
+          valid: decoded !== null
+        }
+      };
+
+      if (decoded) {
+        entry.path = decoded.path;
+        entry.status = decoded.status;
+        entry.fields = decoded.fields;
+      }
+
+      // Monitor byte positions (or every byte when unframed without channels)
+      const isMonitorPosition = role.role === 'channel' || (!profile.channels && !frameDef);
+      if (isMonitorPosition && !decoded) {
+        entry.reason = REJECT_REASONS.INVALID_MONITOR_BYTE;
+        entry.error = `${hex(byte)} & ${hex(mask)} = ${hex(byte & mask)}, expected ${hex(value)}`;
+      }
+
+      return entry;
+    });
+
+    return {
+      valid: result.valid,
+      reason: result.valid ? null : result.reason,
+      error: result.valid ? null : result.error,
+      profile: { id: profile.id, name: profile.name },
+      length: buffer.length,
+      frame: frameDef ? {
+        syncOffset: frameStart,
+        length: frameStart !== null ? frameEnd - frameStart : null,
+        version: frameDef.version && frameStart !== null && buffer[frameStart + frameDef.version.offset] !== undefined ? {
+          value: hex(buffer[frameStart + frameDef.version.offset]),
+          expected: frameDef.version.values.map(version => hex(version)),
+          valid: frameDef.version.values.includes(buffer[frameStart + frameDef.version.offset])
+        } : null,
+        checksum: parsed.checksum ? {
+          type: parsed.checksum.type,
+          offset: parsed.checksum.offset,
+          expected: hex(parsed.checksum.expected, frameDef.checksum.size * 2),
+          received: hex(parsed.checksum.received, frameDef.checksum.size * 2),
+          valid: parsed.checksum.valid
+        } : null
+      } : null,
+      bytes,
+      result
+    };
+  }
+
+  /**
+   * Maps frame offsets to the field they belong to
+   * @param {object} profile - ICD profile
+   * @param {number} frameLength - Frame length (resolves negative checksum offsets)
+   * @returns {Map} - Map<frameOffset, {role, id?, name?}>
+   */
+  frameRoles(profile, frameLength) {
+    const roles = new Map();
+    const frameDef = profile.frame;
+    const mark = (offset, size, role) => {
+      for (let i = 0; i < size; i++) {
+        roles.set(offset + i, role);
+      }
+    };
+
+    if (frameDef) {
+      mark(0, frameDef.sync.length, { role: 'sync' });
+      if (frameDef.version) mark(frameDef.version.offset, 1, { role: 'version' });
+      if (frameDef.length) mark(frameDef.length.offset, 1, { role: 'length' });
+      if (frameDef.sequence) mark(frameDef.sequence.offset, frameDef.sequence.size, { role: 'sequence' });
+    }
+
+    profile.parameters.forEach(parameter => {
+      mark(parameter.offset, parameter.size, { role: 'parameter', id: parameter.id, name: parameter.name });
+    });
+
+    (profile.channels || []).forEach(channel => {
+      mark(channel.offset, 1, { role: 'channel', id: channel.id, name: channel.name });
+    });
+
+    if (frameDef && frameDef.checksum) {
+      const offset = frameDef.checksum.offset < 0
+        ? frameLength + frameDef.checksum.offset
+        : frameDef.checksum.offset;
+      mark(offset, frameDef.checksum.size, { role: 'checksum' });
+    }
+
+    return roles;
   }
 
   /**
    * Creates a test monitor byte with specified parameters
    * Useful for testing and simulation
    */
-  createMonitorByte(path, status) {
-    let byte = 0x80; // Set B7 = 1, B6 = 0 (10xxxxxx)
-    
-    // Set B5 for Active/Standby
-    if (path === 'ACTIVE') {
-      byte |= 0x20;
-    }
-    
-    // Set B4, B3 for status
-    let statusBits = 0;
-    switch (status) {
-      case 'NORMAL':
-        statusBits = 0b00;
-        break;
-      case 'WARNING':
-        statusBits = 0b01;
-        break;
-      case 'ALARM':
-        statusBits = 0b10;
-        break;
-      case 'FAULT':
-        statusBits = 0b11;
-        break;
-    }
-    
-    byte |= (statusBits << 3);
-    
+  createMonitorByte(path, status, profile = icdProfiles.getDefaultProfile()) {
+    const { validity, fields } = profile.monitorByte;
+    let byte = validity.value; // Default profile: B7 = 1, B6 = 0 (10xxxxxx)
+
+    byte |= this.encodeField(fields.path, path);
+    byte |= this.encodeField(fields.status, status);
+
     return byte;
   }
+
+  /**
+   * Creates a test frame around monitor bytes according to the profile's frame definition
+   * monitorBytes is one byte per profile channel (a single byte is used for every channel)
+   * parameterValues maps parameter IDs to engineering values
+   * sequence is written to the profile's sequence counter, if it declares one
+   * Remaining bytes are filled with random data; useful for testing and simulation
+   */
+  createFrame(monitorBytes, profile = icdProfiles.getDefaultProfile(), length = 20, parameterValues = {}, sequence = null) {
+    const frameDef = profile.frame;
+    const bytes = [].concat(monitorBytes);
+    const channels = profile.channels || [{ offset: 4 }];
+
+    if (!frameDef) {
+      // Unframed profiles: zero padding around the channel bytes
+      const packet = Buffer.alloc(Math.max(length, ...channels.map(channel => channel.offset + 1)));
+      channels.forEach((channel, index) => {
+        packet[channel.offset] = bytes[Math.min(index, bytes.length - 1)];
+      });
+      return packet;
+    }
+
+    const frame = Buffer.alloc(Math.max(length, frameDef.minLength));
+    for (let i = 0; i < frame.length; i++) {
+      frame[i] = Math.floor(Math.random() * 256);
+    }
+
+    Buffer.from(frameDef.sync).copy(frame, 0);
+    if (frameDef.version) {
+      frame[frameDef.version.offset] = frameDef.version.values[0];
+    }
+    if (frameDef.length) {
+      frame[frameDef.length.offset] = frame.length;
+    }
+    if (frameDef.sequence && sequence !== null) {
+      frame[bufferMethod('write', frameDef.sequence)](sequence % frameDef.sequence.modulo, frameDef.sequence.offset);
+    }
+    channels.forEach((channel, index) => {
+      frame[channel.offset] = bytes[Math.min(index, bytes.length - 1)];
+    });
+
+    profile.parameters.forEach(parameter => {
+      if (parameterValues[parameter.id] !== undefined) {
+        this.encodeParameter(frame, parameter, parameterValues[parameter.id]);
+      }
+    });
+
+    if (frameDef.checksum) {
+      const { type, size, start } = frameDef.checksum;
+      const offset = frameDef.checksum.offset < 0
+        ? frame.length + frameDef.checksum.offset
+        : frameDef.checksum.offset;
+      const checksum = this.computeChecksum(type, frame.subarray(start, offset));
+
+      if (size === 2) {
+        frame.writeUInt16BE(checksum, offset);
+      } else {
+        frame[offset] = checksum;
+      }
+    }
+
+    return frame;
+  }
+
+  /**
+   * Writes an engineering value into a frame as the parameter's raw encoding
+   */
+  encodeParameter(frame, parameter, value) {
+    let raw = (value - parameter.bias) / parameter.scale;
+    if (!parameter.type.startsWith('float')) {
+      raw = Math.round(raw);
+    }
+
+    frame[bufferMethod('write', parameter)](raw, parameter.offset);
+  }
+
+  /**
+   * Encodes an enum label into its bit position for a profile field
+   */
+  encodeField(field, label) {
+    const entry = Object.entries(field.values).find(([, value]) => value === label);
+    if (!entry) {
+      return 0;
+    }
+
+    return (Number(entry[0]) << field.shift) & field.mask;
+  }
 }
 
 module.exports = new ICDDecoder();
+module.exports.REJECT_REASONS = REJECT_REASONS;
@@ -0,0 +1,413 @@
+/**
+ * ICD Profile Registry
+ * Loads ICD profile definitions that describe each vendor's monitor byte layout
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+const DEFAULT_PROFILE_ID = 'default';
+
+/**
+ * Supported frame checksum algorithms and their trailer size in bytes
+ */
+const CHECKSUM_SIZES = {
+  'none': 0,
+  'xor8': 1,
+  'sum8': 1,
+  'crc16-ccitt': 2
+};
+
+/**
+ * Supported analog parameter encodings and their size in bytes
+ */
+const PARAMETER_TYPES = {
+  'uint8': 1,
+  'int8': 1,
+  'uint16': 2,
+  'int16': 2,
+  'uint32': 4,
+  'int32': 4,
+  'float32': 4,
+  'float64': 8
+};
+
+/**
+ * Supported frame sequence counter encodings
+ */
+const SEQUENCE_TYPES = ['uint8', 'uint16', 'uint32'];
+
+/**
+ * Built-in profile matching the original hard-coded layout:
+ * 10xxxxxx validity, B5 = path, B4-B3 = status
+ * Frame: AA 55 | version 0x01 | total length | monitor byte | ... | XOR-8 checksum
+ */
+const BUILTIN_DEFAULT_PROFILE = {
+  id: DEFAULT_PROFILE_ID,
+  name: 'Generic Monitor Byte',
+  description: 'B7-B6 = 10 validity, B5 = Active/Standby, B4-B3 = status',
+  frame: {
+    sync: [0xAA, 0x55],
+    version: { offset: 2, values: [0x01] },
+    length: { offset: 3 },
+    checksum: { type: 'xor8', offset: -1 }
+  },
+  channels: [
+    { id: 'main', name: 'Main', offset: 4 }
+  ],
+  monitorByte: {
+    validity: { mask: 0xC0, value: 0x80 },
+    fields: {
+      path: {
+        mask: 0x20,
+        values: { 0: 'STANDBY', 1: 'ACTIVE' }
+      },
+      status: {
+        mask: 0x18,
+        values: { 0: 'NORMAL', 1: 'WARNING', 2: 'ALARM', 3: 'FAULT' }
+      }
+    }
+  }
+};
+
+/**
+ * Parses a number that may be written as a hex/binary string in JSON ("0xC0", "0b10")
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim().toLowerCase();
+    if (trimmed.startsWith('0x')) return parseInt(trimmed.slice(2), 16);
+    if (trimmed.startsWith('0b')) return parseInt(trimmed.slice(2), 2);
+    return Number(trimmed);
+  }
+
+  return NaN;
+}
+
+/**
+ * Returns the number of trailing zero bits in a mask (the implicit field shift)
+ */
+function maskShift(mask) {
+  let shift = 0;
+  while (shift < 8 && ((mask >> shift) & 1) === 0) {
+    shift++;
+  }
+  return shift;
+}
+
+class ICDProfileRegistry {
+  constructor() {
+    this.profiles = new Map();
+    this.unknownWarned = new Set(); // "equipmentId|profileId" already reported as unknown
+    this.profilesPath = config.icdProfilesPath;
+    this.loadProfiles(this.profilesPath);
+  }
+
+  /**
+   * Loads all *.json profiles from the profiles directory
+   * The built-in default profile is always available unless overridden by default.json
+   */
+  loadProfiles(profilesPath) {
+    this.profiles.clear();
+    this.profiles.set(DEFAULT_PROFILE_ID, this.normalizeProfile(BUILTIN_DEFAULT_PROFILE));
+
+    const fullPath = path.resolve(profilesPath);
+    if (!fs.existsSync(fullPath)) {
+      return this.profiles;
+    }
+
+    fs.readdirSync(fullPath)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        try {
+          const raw = JSON.parse(fs.readFileSync(path.join(fullPath, file), 'utf8'));
+          const profile = this.normalizeProfile({
+            id: path.basename(file, '.json'),
+            ...raw
+          });
+          this.profiles.set(profile.id, profile);
+        } catch (error) {
+          console.error(`Error loading ICD profile ${file}: ${error.message}`);
+        }
+      });
+
+    return this.profiles;
+  }
+
+  /**
+   * Converts a raw profile definition into numeric masks/shifts and validates it
+   * @param {object} raw - Profile as read from JSON
+   * @returns {object} - Normalized profile
+   */
+  normalizeProfile(raw) {
+    if (!raw.monitorByte || !raw.monitorByte.fields) {
+      throw new Error(`Profile '${raw.id}' has no monitorByte.fields definition`);
+    }
+
+    const validity = raw.monitorByte.validity || { mask: 0, value: 0 };
+    const fields = {};
+
+    Object.entries(raw.monitorByte.fields).forEach(([name, field]) => {
+      const mask = parseNumber(field.mask);
+      if (isNaN(mask) || mask <= 0 || mask > 0xFF) {
+        throw new Error(`Field '${name}' has an invalid mask`);
+      }
+
+      const values = {};
+      Object.entries(field.values || {}).forEach(([key, label]) => {
+        values[parseNumber(key)] = label;
+      });
+
+      fields[name] = {
+        mask,
+        shift: field.shift !== undefined ? parseNumber(field.shift) : maskShift(mask),
+        values
+      };
+    });
+
+    ['path', 'status'].forEach(required => {
+      if (!fields[required]) {
+        throw new Error(`Profile '${raw.id}' must define a '${required}' field`);
+      }
+    });
+
+    const channels = this.normalizeChannels(raw);
+    const parameters = this.normalizeParameters(raw);
+
+    return {
+      id: raw.id,
+      name: raw.name || raw.id,
+      description: raw.description || '',
+      frame: raw.frame ? this.normalizeFrame(raw.frame, raw.id, channels, parameters) : null,
+      channels,
+      parameters,
+      monitorByte: {
+        validity: {
+          mask: parseNumber(validity.mask),
+          value: parseNumber(validity.value)
+        },
+        fields
+      }
+    };
+  }
+
+  /**
+   * Builds the list of monitor byte channels (one per byte position)
+   * A frame's monitorOffset is shorthand for a single 'main' channel.
+   * Unframed profiles without channels return null and are scanned byte by byte.
+   * @param {object} raw - Profile as read from JSON
+   * @returns {Array|null} - [{id, name, offset}]
+   */
+  normalizeChannels(raw) {
+    let channels = raw.channels;
+
+    if (!channels && raw.frame && raw.frame.monitorOffset !== undefined) {
+      channels = [{ id: 'main', name: 'Main', offset: raw.frame.monitorOffset }];
+    }
+
+    if (!channels) {
+      if (raw.frame) {
+        throw new Error(`Profile '${raw.id}' has a frame but no channels or monitorOffset`);
+      }
+      return null;
+    }
+
+    const ids = new Set();
+    return channels.map(channel => {
+      const offset = parseNumber(channel.offset);
+      if (!channel.id || !Number.isInteger(offset) || offset < 0) {
+        throw new Error(`Profile '${raw.id}' has an invalid channel definition`);
+      }
+      if (ids.has(channel.id)) {
+        throw new Error(`Profile '${raw.id}' has duplicate channel '${channel.id}'`);
+      }
+      ids.add(channel.id);
+
+      return {
+        id: channel.id,
+        name: channel.name || channel.id,
+        offset
+      };
+    });
+  }
+
+  /**
+   * Builds the list of analog parameters (scaled integer or float fields)
+   * value = raw * scale + bias, reported with its unit and tolerance limits
+   * @param {object} raw - Profile as read from JSON
+   * @returns {Array} - [{id, name, offset, type, size, endian, scale, bias, unit, decimals, nominal, limits}]
+   */
+  normalizeParameters(raw) {
+    return (raw.parameters || []).map(parameter => {
+      const offset = parseNumber(parameter.offset);
+      const type = parameter.type || 'uint8';
+
+      if (!parameter.id || !Number.isInteger(offset) || offset < 0) {
+        throw new Error(`Profile '${raw.id}' has an invalid parameter definition`);
+      }
+      if (PARAMETER_TYPES[type] === undefined) {
+        throw new Error(`Parameter '${parameter.id}' has unsupported type '${type}'`);
+      }
+
+      const scale = parameter.scale !== undefined ? Number(parameter.scale) : 1;
+      const isFloat = type.startsWith('float');
+
+      // Default display precision follows the scale (0.01 -> 2 decimals)
+      const decimals = parameter.decimals !== undefined
+        ? parameter.decimals
+        : (isFloat ? 3 : Math.max(0, Math.ceil(-Math.log10(Math.abs(scale)))));
+
+      const limits = parameter.limits || {};
+
+      return {
+        id: parameter.id,
+        name: parameter.name || parameter.id,
+        offset,
+        type,
+        size: PARAMETER_TYPES[type],
+        endian: parameter.endian === 'little' ? 'little' : 'big',
+        scale,
+        bias: parameter.bias !== undefined ? Number(parameter.bias) : 0,
+        unit: parameter.unit || '',
+        decimals,
+        nominal: parameter.nominal !== undefined ? Number(parameter.nominal) : null,
+        limits: {
+          min: limits.min !== undefined ? Number(limits.min) : null,
+          max: limits.max !== undefined ? Number(limits.max) : null
+        }
+      };
+    });
+  }
+
+  /**
+   * Converts a raw frame definition into numeric offsets and validates it
+   * Profiles without a frame fall back to scanning every byte of the payload
+   * @param {object} frame - Frame definition as read from JSON
+   * @param {string} profileId - Profile ID for error messages
+   * @param {Array} channels - Normalized channels (offsets relative to frame start)
+   * @param {Array} parameters - Normalized analog parameters
+   * @returns {object} - Normalized frame
+   */
+  normalizeFrame(frame, profileId, channels, parameters = []) {
+    const sync = (frame.sync || []).map(parseNumber);
+    if (sync.length === 0 || sync.some(byte => isNaN(byte) || byte < 0 || byte > 0xFF)) {
+      throw new Error(`Profile '${profileId}' has an invalid frame sync word`);
+    }
+
+    if (channels.some(channel => channel.offset < sync.length)) {
+      throw new Error(`Profile '${profileId}' has a channel overlapping the sync word`);
+    }
+    const dataEnd = Math.max(
+      ...channels.map(channel => channel.offset + 1),
+      ...parameters.map(parameter => parameter.offset + parameter.size)
+    );
+
+    const checksumType = frame.checksum ? frame.checksum.type : 'none';
+    if (CHECKSUM_SIZES[checksumType] === undefined) {
+      throw new Error(`Profile '${profileId}' uses unsupported checksum '${checksumType}'`);
+    }
+    const checksumSize = CHECKSUM_SIZES[checksumType];
+
+    const normalized = {
+      sync,
+      version: frame.version ? {
+        offset: parseNumber(frame.version.offset),
+        values: [].concat(frame.version.values !== undefined ? frame.version.values : frame.version.value).map(parseNumber)
+      } : null,
+      length: frame.length ? {
+        offset: parseNumber(frame.length.offset)
+      } : null,
+      sequence: frame.sequence ? this.normalizeSequence(frame.sequence, profileId) : null,
+      checksum: checksumSize > 0 ? {
+        type: checksumType,
+        size: checksumSize,
+        start: frame.checksum.start !== undefined ? parseNumber(frame.checksum.start) : 0,
+        offset: frame.checksum.offset !== undefined ? parseNumber(frame.checksum.offset) : -checksumSize
+      } : null
+    };
+
+    // Smallest frame that still contains every declared field plus the trailer
+    const headerEnd = Math.max(
+      sync.length,
+      dataEnd,
+      normalized.version ? normalized.version.offset + 1 : 0,
+      normalized.length ? normalized.length.offset + 1 : 0,
+      normalized.sequence ? normalized.sequence.offset + normalized.sequence.size : 0
+    );
+    normalized.minLength = headerEnd + checksumSize;
+
+    return normalized;
+  }
+
+  /**
+   * Converts a frame sequence counter definition
+   * The counter wraps at 2^(8 * size)
+   * @returns {object} - {offset, type, size, endian, modulo}
+   */
+  normalizeSequence(sequence, profileId) {
+    const offset = parseNumber(sequence.offset);
+    const type = sequence.type || 'uint8';
+
+    if (!Number.isInteger(offset) || offset < 0 || !SEQUENCE_TYPES.includes(type)) {
+      throw new Error(`Profile '${profileId}' has an invalid frame sequence definition`);
+    }
+
+    const size = PARAMETER_TYPES[type];
+    return {
+      offset,
+      type,
+      size,
+      endian: sequence.endian === 'little' ? 'little' : 'big',
+      modulo: Math.pow(2, size * 8)
+    };
+  }
+
+  /**
+   * Gets a profile by ID, falling back to the default profile
+   */
+  getProfile(profileId) {
+    return this.profiles.get(profileId) || this.profiles.get(DEFAULT_PROFILE_ID);
+  }
+
+  /**
+   * Gets the profile configured for an equipment entry
+   * An unknown profile is reported once per equipment, not on every packet
+   */
+  getProfileForEquipment(equipment) {
+    const profileId = equipment.icdProfile || DEFAULT_PROFILE_ID;
+    const warnKey = `${equipment.id}|${profileId}`;
+
+    if (!this.profiles.has(profileId) && !this.unknownWarned.has(warnKey)) {
+      this.unknownWarned.add(warnKey);
+      console.warn(`[ICD] Unknown profile '${profileId}' for ${equipment.name}, using default`);
+    }
+
+    return this.getProfile(profileId);
+  }
+
+  getDefaultProfile() {
+    return this.profiles.get(DEFAULT_PROFILE_ID);
+  }
+
+  hasProfile(profileId) {
+    return this.profiles.has(profileId);
+  }
+
+  /**
+   * Gets a summary list of all loaded profiles
+   */
+  getAllProfiles() {
+    return Array.from(this.profiles.values()).map(profile => ({
+      id: profile.id,
+      name: profile.name,
+      description: profile.description
+    }));
+  }
+}
+
+module.exports = new ICDProfileRegistry();
@@ -0,0 +1,99 @@
+/**
+ * Network Interfaces
+ * Lists the host's network interfaces and resolves per-equipment bind
+ * settings (an interface name or a local address) to a socket address
+ */
+
+const os = require('os');
+const net = require('net');
+
+/**
+ * Strips an IPv6 zone (fe80::1%eth0 -> fe80::1)
+ */
+function stripZone(address) {
+  return address.replace(/%.*$/, '');
+}
+
+class NetworkInterfaces {
+  /**
+   * Lists the host's interfaces and their addresses
+   * @returns {Array} - [{name, internal, addresses: [{address, family, cidr, mac}]}]
+   */
+  list() {
+    return Object.entries(os.networkInterfaces()).map(([name, addresses]) => ({
+      name,
+      internal: addresses.every(addr => addr.internal),
+      addresses: addresses.map(addr => ({
+        address: addr.address,
+        family: net.isIPv6(addr.address) ? 6 : 4,
+        cidr: addr.cidr,
+        mac: addr.mac
+      }))
+    }));
+  }
+
+  /**
+   * Resolves a bind setting to an address on this host
+   * An interface name picks its first address of the preferred family
+   * (falling back to any address). Link-local IPv6 addresses get the
+   * interface as zone so the socket can bind to them.
+   * @param {string} bind - Interface name (e.g. eth1) or local address
+   * @param {number} preferredFamily - 4 or 6
+   * @returns {object|null} - {address, family, interface}, null if not on this host
+   */
+  resolve(bind, preferredFamily = 4) {
+    const interfaces = this.list();
+
+    const named = interfaces.find(iface => iface.name === bind);
+    if (named) {
+      const addr = named.addresses.find(a => a.family === preferredFamily) || named.addresses[0];
+      return addr ? this.toBindAddress(named.name, addr) : null;
+    }
+
+    for (const iface of interfaces) {
+      const addr = iface.addresses.find(a => a.address === stripZone(bind));
+      if (addr) {
+        return this.toBindAddress(iface.name, addr);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Builds the resolved bind address for an interface address
+   */
+  toBindAddress(name, addr) {
+    const linkLocal = addr.family === 6 && /^fe80:/i.test(addr.address);
+    return {
+      address: linkLocal ? `${addr.address}%${name}` : addr.address,
+      family: addr.family,
+      interface: name
+    };
+  }
+
+  /**
+   * Validates that a bind setting exists on this host
+   * @param {string} bind - Interface name or local address
+   * @returns {object} - {valid: boolean, error?: string, address?, interface?}
+   */
+  validate(bind) {
+    if (typeof bind !== 'string' || bind.trim() === '') {
+      return { valid: false, error: 'Bind address must be an interface name or a local IP address' };
+    }
+
+    const resolved = this.resolve(bind.trim());
+    if (!resolved) {
+      return {
+        valid: false,
+        error: net.isIP(stripZone(bind.trim()))
+          ? `Address ${bind} is not assigned to any interface on this host`
+          : `Network interface '${bind}' does not exist on this host`
+      };
+    }
+
+    return { valid: true, address: resolved.address, interface: resolved.interface };
+  }
+}
+
+module.exports = new NetworkInterfaces();
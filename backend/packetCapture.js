@@ -0,0 +1,95 @@
+/**
+ * Packet Capture
+ * Keeps a bounded ring buffer of recent raw packets per equipment
+ * for the dashboard packet inspector
+ */
+
+const config = require('./config');
+
+class PacketCapture {
+  constructor() {
+    this.buffers = new Map(); // Map<equipmentId, {packets, next, count}>
+    this.capacity = config.packetBufferSize;
+    this.nextId = 1;
+  }
+
+  /**
+   * Records a received packet and its decode result
+   * @param {string} equipmentId - Equipment ID
+   * @param {object} packet - {msg, sourceIP, sourcePort, listenPort, decoded}
+   * @returns {object} - Captured packet entry
+   */
+  record(equipmentId, { msg, sourceIP, sourcePort, listenPort, decoded }) {
+    if (!this.buffers.has(equipmentId)) {
+      this.buffers.set(equipmentId, { packets: new Array(this.capacity), next: 0, count: 0 });
+    }
+
+    const entry = {
+      id: this.nextId++,
+      timestamp: new Date().toISOString(),
+      sourceIP,
+      sourcePort,
+      listenPort,
+      length: msg.length,
+      hex: msg.toString('hex'),
+      valid: decoded.valid,
+      path: decoded.valid ? decoded.path : null,
+      status: decoded.valid ? decoded.status : null,
+      sequence: decoded.valid ? decoded.sequence : null,
+      reason: decoded.valid ? null : decoded.reason,
+      error: decoded.valid ? null : decoded.error,
+      profile: decoded.profile
+    };
+
+    // Overwrite the oldest slot once the buffer is full
+    const buffer = this.buffers.get(equipmentId);
+    buffer.packets[buffer.next] = entry;
+    buffer.next = (buffer.next + 1) % this.capacity;
+    buffer.count = Math.min(buffer.count + 1, this.capacity);
+
+    return entry;
+  }
+
+  /**
+   * Gets captured packets for an equipment, newest first
+   * @param {string} equipmentId - Equipment ID
+   * @param {object} options - {limit, afterId, rejectedOnly}
+   */
+  getPackets(equipmentId, { limit = 50, afterId = 0, rejectedOnly = false } = {}) {
+    const buffer = this.buffers.get(equipmentId);
+    if (!buffer) {
+      return [];
+    }
+
+    const packets = [];
+    for (let i = 1; i <= buffer.count && packets.length < limit; i++) {
+      const entry = buffer.packets[(buffer.next - i + this.capacity) % this.capacity];
+
+      if (entry.id <= afterId) {
+        break;
+      }
+      if (!rejectedOnly || !entry.valid) {
+        packets.push(entry);
+      }
+    }
+
+    return packets;
+  }
+
+  /**
+   * Gets the number of packets held for an equipment
+   */
+  getCount(equipmentId) {
+    const buffer = this.buffers.get(equipmentId);
+    return buffer ? buffer.count : 0;
+  }
+
+  /**
+   * Clears captured packets for an equipment
+   */
+  clear(equipmentId) {
+    this.buffers.delete(equipmentId);
+  }
+}
+
+module.exports = new PacketCapture();
@@ -0,0 +1,200 @@
+/**
+ * Packet Demultiplexer
+ * Routes datagrams arriving on a shared UDP port to the right equipment
+ * by source IP, source port or an equipment ID field inside the payload
+ */
+
+const sourceFilter = require('./sourceFilter');
+
+/**
+ * Supported demultiplexing methods
+ */
+const METHODS = {
+  sourceIP: 'Source IP address (equipment IP or allowedSources)',
+  sourcePort: 'Source UDP port',
+  payloadId: 'Equipment ID field at a fixed offset in the payload'
+};
+
+/**
+ * Payload ID field types and their size in bytes (ascii uses the value's length)
+ */
+const ID_TYPES = {
+  uint8: 1,
+  uint16: 2,
+  uint32: 4,
+  ascii: null
+};
+
+class PacketDemux {
+  /**
+   * Picks the equipment a datagram belongs to
+   * A port with a single equipment and no demux config always routes to it
+   * @param {Array} candidates - Equipment listening on the receiving port
+   * @param {Buffer} msg - Datagram payload
+   * @param {object} rinfo - Sender {address, port}
+   * @returns {object|null} - Matching equipment, or null if none matches
+   */
+  route(candidates, msg, rinfo) {
+    if (candidates.length === 1 && !candidates[0].demux) {
+      return candidates[0];
+    }
+
+    return candidates.find(equipment => equipment.demux && this.matches(equipment, msg, rinfo)) || null;
+  }
+
+  /**
+   * Checks whether a datagram matches an equipment's demux config
+   */
+  matches(equipment, msg, rinfo) {
+    const { demux } = equipment;
+
+    switch (demux.by) {
+      case 'sourceIP':
+        return sourceFilter.isAllowedSource(equipment, rinfo.address);
+      case 'sourcePort':
+        return rinfo.port === demux.sourcePort;
+      case 'payloadId':
+        return this.readPayloadId(msg, demux) === demux.value;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Reads the equipment ID field from a datagram
+   * @returns {number|string|null} - Field value, or null if the datagram is too short
+   */
+  readPayloadId(msg, demux) {
+    const offset = demux.offset || 0;
+    const type = demux.type || 'uint8';
+    const size = type === 'ascii' ? String(demux.value).length : ID_TYPES[type];
+
+    if (msg.length < offset + size) {
+      return null;
+    }
+
+    const littleEndian = demux.endian === 'little';
+
+    switch (type) {
+      case 'uint8':
+        return msg.readUInt8(offset);
+      case 'uint16':
+        return littleEndian ? msg.readUInt16LE(offset) : msg.readUInt16BE(offset);
+      case 'uint32':
+        return littleEndian ? msg.readUInt32LE(offset) : msg.readUInt32BE(offset);
+      case 'ascii':
+        return msg.toString('latin1', offset, offset + size);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Describes what a demux config matches on, e.g. "sourcePort 5001"
+   * Two equipment on one port with the same key would be indistinguishable
+   */
+  describe(equipment) {
+    const { demux } = equipment;
+
+    switch (demux.by) {
+      case 'sourceIP':
+        return `sourceIP ${sourceFilter.getAllowedSources(equipment).join(', ')}`;
+      case 'sourcePort':
+        return `sourcePort ${demux.sourcePort}`;
+      case 'payloadId':
+        return `payloadId ${demux.value} @${demux.offset || 0}`;
+      default:
+        return demux.by;
+    }
+  }
+
+  /**
+   * Validates an equipment's demux config, including against the other
+   * equipment already sharing its port
+   * @param {object} equipment - Candidate equipment (with ip, allowedSources, demux)
+   * @param {Array} peers - Other equipment on the same port
+   * @returns {object} - {valid: boolean, error?: string}
+   */
+  validate(equipment, peers = []) {
+    const { demux } = equipment;
+
+    if (demux === null || demux === undefined) {
+      return peers.length > 0
+        ? { valid: false, error: `Port ${equipment.port} is shared; demux settings are required` }
+        : { valid: true };
+    }
+
+    if (typeof demux !== 'object' || !METHODS[demux.by]) {
+      return { valid: false, error: `demux.by must be one of: ${Object.keys(METHODS).join(', ')}` };
+    }
+
+    const fieldValidation = this.validateFields(equipment);
+    if (!fieldValidation.valid) {
+      return fieldValidation;
+    }
+
+    const unshared = peers.find(peer => !peer.demux);
+    if (unshared) {
+      return { valid: false, error: `Port ${equipment.port} is used by ${unshared.name}, which has no demux settings` };
+    }
+
+    const key = this.describe(equipment);
+    const conflict = peers.find(peer => this.describe(peer) === key);
+    if (conflict) {
+      return { valid: false, error: `${conflict.name} already uses ${key} on port ${equipment.port}` };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validates the fields required by the demux method
+   */
+  validateFields(equipment) {
+    const { demux } = equipment;
+
+    switch (demux.by) {
+      case 'sourceIP':
+        if (sourceFilter.getAllowedSources(equipment).length === 0) {
+          return { valid: false, error: 'Demux by sourceIP needs a fixed IP or allowedSources' };
+        }
+        break;
+
+      case 'sourcePort':
+        if (!Number.isInteger(demux.sourcePort) || demux.sourcePort < 1 || demux.sourcePort > 65535) {
+          return { valid: false, error: 'demux.sourcePort must be an integer 1-65535' };
+        }
+        break;
+
+      case 'payloadId': {
+        const type = demux.type || 'uint8';
+        if (!(type in ID_TYPES)) {
+          return { valid: false, error: `demux.type must be one of: ${Object.keys(ID_TYPES).join(', ')}` };
+        }
+        if (demux.offset !== undefined && (!Number.isInteger(demux.offset) || demux.offset < 0)) {
+          return { valid: false, error: 'demux.offset must be a non-negative integer' };
+        }
+        if (demux.endian !== undefined && !['big', 'little'].includes(demux.endian)) {
+          return { valid: false, error: "demux.endian must be 'big' or 'little'" };
+        }
+        if (type === 'ascii'
+          ? typeof demux.value !== 'string' || demux.value === ''
+          : !Number.isInteger(demux.value) || demux.value < 0 || demux.value >= 2 ** (8 * ID_TYPES[type])) {
+          return { valid: false, error: `demux.value must be a valid ${type} equipment ID` };
+        }
+        break;
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Gets the list of supported demux methods
+   */
+  getMethods() {
+    return Object.entries(METHODS).map(([id, description]) => ({ id, description }));
+  }
+}
+
+module.exports = new PacketDemux();
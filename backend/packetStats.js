@@ -0,0 +1,173 @@
+/**
+ * Packet Statistics
+ * Tracks packet arrival per equipment: rate, loss, gaps and jitter
+ * Loss comes from frame sequence numbers when the ICD provides them,
+ * otherwise it is estimated from gaps in the arrival times
+ */
+
+const WINDOW_MS = 60000; // Rolling statistics window
+
+/**
+ * An inter-arrival interval this many times the mean counts as a gap
+ */
+const GAP_FACTOR = 2;
+
+/**
+ * Arrivals needed before the mean interval is trusted for gap detection
+ */
+const MIN_SAMPLES = 5;
+
+class PacketStatsTracker {
+  constructor() {
+    this.trackers = new Map(); // Map<equipmentId, tracker>
+    this.windowMs = WINDOW_MS;
+  }
+
+  /**
+   * Records a packet arrival
+   * @param {string} equipmentId - Equipment ID
+   * @param {object} arrival - {sequence, modulo, timestamp}; sequence is null when the ICD has none
+   * @returns {object} - Updated statistics (see getStats)
+   */
+  record(equipmentId, { sequence = null, modulo = 256, timestamp = Date.now() } = {}) {
+    const tracker = this.getTracker(equipmentId);
+    const interval = tracker.lastArrival !== null ? timestamp - tracker.lastArrival : null;
+    let lost = 0;
+
+    if (sequence !== null) {
+      tracker.sequenced = true;
+
+      if (tracker.lastSequence !== null) {
+        const delta = (sequence - tracker.lastSequence + modulo) % modulo;
+
+        if (delta === 0) {
+          tracker.duplicates++;
+        } else if (delta > modulo / 2) {
+          // Counter went backwards: a late packet, not a wrap
+          tracker.outOfOrder++;
+        } else {
+          lost = delta - 1;
+          tracker.lastSequence = sequence;
+        }
+      } else {
+        tracker.lastSequence = sequence;
+      }
+    }
+
+    if (interval !== null) {
+      const mean = this.meanInterval(tracker);
+
+      // Without sequence numbers, a long silence is assumed to be missed packets
+      if (!tracker.sequenced && mean !== null && tracker.samples.length >= MIN_SAMPLES &&
+          interval > mean * GAP_FACTOR) {
+        lost = Math.round(interval / mean) - 1;
+      }
+
+      if (mean !== null && lost === 0) {
+        // RFC 3550 style smoothed deviation from the mean interval
+        tracker.jitter += (Math.abs(interval - mean) - tracker.jitter) / 16;
+      }
+
+      if (lost > 0) {
+        tracker.gaps++;
+      }
+    }
+
+    tracker.received++;
+    tracker.lost += lost;
+    tracker.lastArrival = timestamp;
+    tracker.samples.push({ timestamp, interval, lost });
+    this.prune(tracker, timestamp);
+
+    return this.getStats(equipmentId);
+  }
+
+  /**
+   * Gets rolling statistics for an equipment
+   * @returns {object} - {packetsPerSec, lossPercent, maxGapMs, jitterMs, ...}
+   */
+  getStats(equipmentId) {
+    const tracker = this.getTracker(equipmentId);
+    this.prune(tracker, Date.now());
+
+    const samples = tracker.samples;
+    const intervals = samples.filter(sample => sample.interval !== null).map(sample => sample.interval);
+    const windowLost = samples.reduce((sum, sample) => sum + sample.lost, 0);
+    const span = samples.length > 1 ? samples[samples.length - 1].timestamp - samples[0].timestamp : 0;
+    const mean = this.meanInterval(tracker);
+
+    return {
+      windowMs: this.windowMs,
+      lossSource: tracker.sequenced ? 'sequence' : 'estimated',
+      packetsPerSec: span > 0 ? Number(((samples.length - 1) / (span / 1000)).toFixed(2)) : null,
+      lossPercent: samples.length > 0
+        ? Number((windowLost / (samples.length + windowLost) * 100).toFixed(1))
+        : null,
+      maxGapMs: intervals.length > 0 ? Math.max(...intervals) : null,
+      meanIntervalMs: mean !== null ? Math.round(mean) : null,
+      jitterMs: Math.round(tracker.jitter),
+      lastSequence: tracker.lastSequence,
+      received: tracker.received,
+      lost: tracker.lost,
+      gaps: tracker.gaps,
+      duplicates: tracker.duplicates,
+      outOfOrder: tracker.outOfOrder
+    };
+  }
+
+  /**
+   * Mean inter-arrival interval over the window
+   */
+  meanInterval(tracker) {
+    const intervals = tracker.samples.filter(sample => sample.interval !== null && sample.lost === 0);
+    if (intervals.length === 0) {
+      return null;
+    }
+
+    return intervals.reduce((sum, sample) => sum + sample.interval, 0) / intervals.length;
+  }
+
+  /**
+   * Drops samples older than the statistics window
+   */
+  prune(tracker, now) {
+    while (tracker.samples.length > 0 && now - tracker.samples[0].timestamp > this.windowMs) {
+      tracker.samples.shift();
+    }
+  }
+
+  getTracker(equipmentId) {
+    if (!this.trackers.has(equipmentId)) {
+      this.trackers.set(equipmentId, {
+        samples: [],
+        sequenced: false,
+        lastSequence: null,
+        lastArrival: null,
+        jitter: 0,
+        received: 0,
+        lost: 0,
+        gaps: 0,
+        duplicates: 0,
+        outOfOrder: 0
+      });
+    }
+
+    return this.trackers.get(equipmentId);
+  }
+
+  /**
+   * Resets statistics for an equipment (e.g. after removal or a port change)
+   */
+  reset(equipmentId) {
+    this.trackers.delete(equipmentId);
+  }
+
+  /**
+   * Clears all statistics
+   */
+  clear() {
+    this.trackers.clear();
+  }
+}
+
+module.exports = new PacketStatsTracker();
@@ -0,0 +1,474 @@
+/**
+ * PCAP Reader/Writer
+ * Writes UDP datagrams as classic pcap (LINKTYPE_RAW, synthesized IP/UDP headers)
+ * and reads UDP datagrams back from pcap or pcapng captures
+ */
+
+const fs = require('fs');
+
+const PCAP_MAGIC = 0xA1B2C3D4; // Microsecond timestamps
+const PCAP_MAGIC_NS = 0xA1B23C4D; // Nanosecond timestamps
+const PCAPNG_SHB = 0x0A0D0D0A;
+const PCAPNG_BYTE_ORDER = 0x1A2B3C4D;
+const GLOBAL_HEADER_SIZE = 24;
+const RECORD_HEADER_SIZE = 16;
+const SNAPLEN = 65535;
+
+/**
+ * Link-layer types understood by the reader
+ */
+const LINKTYPES = {
+  NULL: 0,
+  ETHERNET: 1,
+  RAW: 101,
+  LINUX_SLL: 113,
+  IPV4: 228,
+  IPV6: 229,
+  LINUX_SLL2: 276
+};
+
+const UDP_PROTOCOL = 17;
+
+// ==================== Address Helpers ====================
+
+/**
+ * Converts an IPv4/IPv6 address string to bytes
+ * IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are returned as IPv4
+ */
+function ipToBytes(ip) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (mapped) {
+    ip = mapped[1];
+  }
+
+  if (!ip.includes(':')) {
+    return Buffer.from(ip.split('.').map(Number));
+  }
+
+  const [head, tail = ''] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = ip.includes('::') && tail ? tail.split(':') : [];
+  const groups = ip.includes('::')
+    ? [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+    : headGroups;
+
+  const bytes = Buffer.alloc(16);
+  groups.forEach((group, index) => bytes.writeUInt16BE(parseInt(group, 16), index * 2));
+  return bytes;
+}
+
+/**
+ * Converts IPv4 (4 bytes) or IPv6 (16 bytes) to its string form
+ */
+function bytesToIp(bytes) {
+  if (bytes.length === 4) {
+    return Array.from(bytes).join('.');
+  }
+
+  if (bytes.subarray(0, 10).every(byte => byte === 0) && bytes[10] === 0xFF && bytes[11] === 0xFF) {
+    return `::ffff:${Array.from(bytes.subarray(12)).join('.')}`;
+  }
+
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(bytes.readUInt16BE(i).toString(16));
+  }
+
+  // Compress the longest run of zero groups
+  const text = groups.join(':');
+  const runs = text.match(/(^|:)0(:0)+(:|$)/g);
+  if (!runs) {
+    return text;
+  }
+  const longest = runs.reduce((a, b) => (b.length > a.length ? b : a));
+  return text.replace(longest, '::');
+}
+
+/**
+ * Widens IPv4 bytes to an IPv4-mapped IPv6 address (::ffff:a.b.c.d)
+ */
+function toIPv6(bytes) {
+  if (bytes.length === 16) {
+    return bytes;
+  }
+
+  const mapped = Buffer.alloc(16);
+  mapped[10] = 0xFF;
+  mapped[11] = 0xFF;
+  bytes.copy(mapped, 12);
+  return mapped;
+}
+
+/**
+ * One's complement checksum (IP header, UDP with pseudo-header)
+ */
+function internetChecksum(...buffers) {
+  let sum = 0;
+  buffers.forEach(buffer => {
+    for (let i = 0; i < buffer.length; i += 2) {
+      sum += (buffer[i] << 8) + (i + 1 < buffer.length ? buffer[i + 1] : 0);
+    }
+  });
+
+  while (sum > 0xFFFF) {
+    sum = (sum & 0xFFFF) + (sum >>> 16);
+  }
+  return (~sum) & 0xFFFF;
+}
+
+// ==================== Writing ====================
+
+/**
+ * Builds an IPv4 or IPv6 + UDP packet around a datagram payload
+ * @param {object} packet - {sourceIP, sourcePort, destIP, destPort, data}
+ * @returns {Buffer} - Raw IP packet
+ */
+function buildIpPacket({ sourceIP, sourcePort, destIP, destPort, data }) {
+  let source = ipToBytes(sourceIP || '0.0.0.0');
+  let dest = ipToBytes(destIP || '0.0.0.0');
+
+  // Mixed families (e.g. IPv6 source, wildcard IPv4 bind) are written as IPv6
+  if (source.length !== dest.length) {
+    source = toIPv6(source);
+    dest = toIPv6(dest);
+  }
+
+  const udp = Buffer.alloc(8 + data.length);
+  udp.writeUInt16BE(sourcePort || 0, 0);
+  udp.writeUInt16BE(destPort || 0, 2);
+  udp.writeUInt16BE(udp.length, 4);
+  data.copy(udp, 8);
+
+  // Pseudo-header for the UDP checksum
+  const pseudo = Buffer.alloc(source.length * 2 + (source.length === 4 ? 4 : 8));
+  source.copy(pseudo, 0);
+  dest.copy(pseudo, source.length);
+  if (source.length === 4) {
+    pseudo[9] = UDP_PROTOCOL;
+    pseudo.writeUInt16BE(udp.length, 10);
+  } else {
+    pseudo.writeUInt32BE(udp.length, 32);
+    pseudo[39] = UDP_PROTOCOL;
+  }
+  udp.writeUInt16BE(internetChecksum(pseudo, udp) || 0xFFFF, 6);
+
+  if (source.length === 4) {
+    const ip = Buffer.alloc(20);
+    ip[0] = 0x45; // IPv4, 20-byte header
+    ip.writeUInt16BE(20 + udp.length, 2);
+    ip.writeUInt16BE(0x4000, 6); // Don't fragment
+    ip[8] = 64; // TTL
+    ip[9] = UDP_PROTOCOL;
+    source.copy(ip, 12);
+    dest.copy(ip, 16);
+    ip.writeUInt16BE(internetChecksum(ip), 10);
+    return Buffer.concat([ip, udp]);
+  }
+
+  const ip = Buffer.alloc(40);
+  ip[0] = 0x60; // IPv6
+  ip.writeUInt16BE(udp.length, 4);
+  ip[6] = UDP_PROTOCOL;
+  ip[7] = 64; // Hop limit
+  source.copy(ip, 8);
+  dest.copy(ip, 24);
+  return Buffer.concat([ip, udp]);
+}
+
+/**
+ * Classic pcap global header (little endian, microsecond timestamps, LINKTYPE_RAW)
+ */
+function globalHeader() {
+  const header = Buffer.alloc(GLOBAL_HEADER_SIZE);
+  header.writeUInt32LE(PCAP_MAGIC, 0);
+  header.writeUInt16LE(2, 4); // Version 2.4
+  header.writeUInt16LE(4, 6);
+  header.writeUInt32LE(SNAPLEN, 16);
+  header.writeUInt32LE(LINKTYPES.RAW, 20);
+  return header;
+}
+
+/**
+ * Encodes one datagram as a pcap record
+ * @param {object} packet - {timestamp (ms or ISO string), sourceIP, sourcePort, destIP, destPort, data}
+ */
+function encodeRecord(packet) {
+  const ipPacket = buildIpPacket(packet);
+  const timestamp = typeof packet.timestamp === 'number'
+    ? packet.timestamp
+    : new Date(packet.timestamp || Date.now()).getTime();
+
+  const header = Buffer.alloc(RECORD_HEADER_SIZE);
+  header.writeUInt32LE(Math.floor(timestamp / 1000), 0);
+  header.writeUInt32LE(Math.round((timestamp % 1000) * 1000), 4);
+  header.writeUInt32LE(ipPacket.length, 8);
+  header.writeUInt32LE(ipPacket.length, 12);
+
+  return Buffer.concat([header, ipPacket]);
+}
+
+/**
+ * Builds a complete pcap file in memory
+ * @param {Array} packets - [{timestamp, sourceIP, sourcePort, destIP, destPort, data}]
+ * @returns {Buffer} - pcap file contents
+ */
+function buildPcap(packets) {
+  return Buffer.concat([globalHeader(), ...packets.map(encodeRecord)]);
+}
+
+/**
+ * Appends datagrams to a pcap file on disk
+ */
+class PcapWriter {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.fd = fs.openSync(filePath, 'w');
+    this.bytes = 0;
+    this.packets = 0;
+    this.append(globalHeader());
+  }
+
+  /**
+   * Writes one datagram
+   * @param {object} packet - {timestamp, sourceIP, sourcePort, destIP, destPort, data}
+   */
+  write(packet) {
+    this.append(encodeRecord(packet));
+    this.packets++;
+  }
+
+  append(buffer) {
+    fs.writeSync(this.fd, buffer);
+    this.bytes += buffer.length;
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+// ==================== Reading ====================
+
+/**
+ * Extracts a UDP datagram from a link-layer frame
+ * @returns {object|null} - {sourceIP, sourcePort, destIP, destPort, data} or null if not UDP
+ */
+function decodeLinkLayer(linktype, frame, littleEndian) {
+  let offset;
+  let etherType = null;
+
+  switch (linktype) {
+    case LINKTYPES.ETHERNET:
+      offset = 14;
+      etherType = frame.readUInt16BE(12);
+      while (etherType === 0x8100 || etherType === 0x88A8) { // VLAN tags
+        etherType = frame.readUInt16BE(offset + 2);
+        offset += 4;
+      }
+      break;
+    case LINKTYPES.NULL: {
+      const family = littleEndian ? frame.readUInt32LE(0) : frame.readUInt32BE(0);
+      offset = 4;
+      etherType = family === 2 ? 0x0800 : 0x86DD;
+      break;
+    }
+    case LINKTYPES.LINUX_SLL:
+      offset = 16;
+      etherType = frame.readUInt16BE(14);
+      break;
+    case LINKTYPES.LINUX_SLL2:
+      offset = 20;
+      etherType = frame.readUInt16BE(0);
+      break;
+    case LINKTYPES.RAW:
+    case LINKTYPES.IPV4:
+    case LINKTYPES.IPV6:
+      offset = 0;
+      break;
+    default:
+      return null;
+  }
+
+  if (offset >= frame.length) {
+    return null;
+  }
+
+  const version = frame[offset] >> 4;
+  if (etherType === 0x0800 || (etherType === null && version === 4)) {
+    return decodeIPv4(frame.subarray(offset));
+  }
+  if (etherType === 0x86DD || (etherType === null && version === 6)) {
+    return decodeIPv6(frame.subarray(offset));
+  }
+  return null;
+}
+
+function decodeIPv4(ip) {
+  const headerLength = (ip[0] & 0x0F) * 4;
+  const fragment = ip.readUInt16BE(6);
+
+  // Only whole, unfragmented UDP datagrams
+  if (ip[9] !== UDP_PROTOCOL || (fragment & 0x3FFF) !== 0 || ip.length < headerLength + 8) {
+    return null;
+  }
+
+  return decodeUdp(ip.subarray(headerLength), bytesToIp(ip.subarray(12, 16)), bytesToIp(ip.subarray(16, 20)));
+}
+
+function decodeIPv6(ip) {
+  if (ip[6] !== UDP_PROTOCOL || ip.length < 48) {
+    return null;
+  }
+
+  return decodeUdp(ip.subarray(40), bytesToIp(ip.subarray(8, 24)), bytesToIp(ip.subarray(24, 40)));
+}
+
+function decodeUdp(udp, sourceIP, destIP) {
+  const length = Math.min(udp.readUInt16BE(4), udp.length);
+
+  return {
+    sourceIP,
+    sourcePort: udp.readUInt16BE(0),
+    destIP,
+    destPort: udp.readUInt16BE(2),
+    data: Buffer.from(udp.subarray(8, length))
+  };
+}
+
+/**
+ * Reads a classic pcap file
+ */
+function readClassic(buffer) {
+  const magicLE = buffer.readUInt32LE(0);
+  const littleEndian = magicLE === PCAP_MAGIC || magicLE === PCAP_MAGIC_NS;
+  const read32 = offset => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+  const magic = read32(0);
+  const fractionDivisor = magic === PCAP_MAGIC_NS ? 1e6 : 1e3;
+  const linktype = read32(20) & 0xFFFF;
+
+  const packets = [];
+  let offset = GLOBAL_HEADER_SIZE;
+
+  while (offset + RECORD_HEADER_SIZE <= buffer.length) {
+    const seconds = read32(offset);
+    const fraction = read32(offset + 4);
+    const capturedLength = read32(offset + 8);
+    const frame = buffer.subarray(offset + RECORD_HEADER_SIZE, offset + RECORD_HEADER_SIZE + capturedLength);
+    offset += RECORD_HEADER_SIZE + capturedLength;
+
+    const datagram = decodeLinkLayer(linktype, frame, littleEndian);
+    if (datagram) {
+      packets.push({ timestamp: seconds * 1000 + fraction / fractionDivisor, ...datagram });
+    }
+  }
+
+  return packets;
+}
+
+/**
+ * Reads a pcapng file (section header, interface description, enhanced/simple packet blocks)
+ */
+function readPcapng(buffer) {
+  const packets = [];
+  const interfaces = [];
+  let littleEndian = true;
+  let offset = 0;
+  let lastTimestamp = null;
+
+  while (offset + 12 <= buffer.length) {
+    // The section header's byte-order magic decides the endianness of the section
+    if (buffer.readUInt32LE(offset) === PCAPNG_SHB) {
+      littleEndian = buffer.readUInt32LE(offset + 8) === PCAPNG_BYTE_ORDER;
+      interfaces.length = 0;
+    }
+
+    const read32 = position => (littleEndian ? buffer.readUInt32LE(position) : buffer.readUInt32BE(position));
+    const read16 = position => (littleEndian ? buffer.readUInt16LE(position) : buffer.readUInt16BE(position));
+    const type = read32(offset);
+    const blockLength = read32(offset + 4);
+
+    if (blockLength < 12 || offset + blockLength > buffer.length) {
+      break;
+    }
+
+    const body = offset + 8;
+
+    if (type === 1) { // Interface description block
+      const iface = { linktype: read16(body), unitsPerSecond: 1000000n };
+      let option = body + 8;
+      while (option + 4 <= offset + blockLength - 4) {
+        const code = read16(option);
+        const length = read16(option + 2);
+        if (code === 0) break;
+        if (code === 9) { // if_tsresol
+          const resolution = buffer[option + 4];
+          iface.unitsPerSecond = resolution & 0x80
+            ? 2n ** BigInt(resolution & 0x7F)
+            : 10n ** BigInt(resolution);
+        }
+        option += 4 + Math.ceil(length / 4) * 4;
+      }
+      interfaces.push(iface);
+    } else if (type === 6) { // Enhanced packet block
+      const iface = interfaces[read32(body)];
+      const ticks = (BigInt(read32(body + 4)) << 32n) | BigInt(read32(body + 8));
+      const capturedLength = read32(body + 12);
+      const frame = buffer.subarray(body + 20, body + 20 + capturedLength);
+
+      if (iface) {
+        const timestamp = Number(ticks / iface.unitsPerSecond) * 1000 +
+          Number(ticks % iface.unitsPerSecond) * 1000 / Number(iface.unitsPerSecond);
+        const datagram = decodeLinkLayer(iface.linktype, frame, littleEndian);
+        lastTimestamp = timestamp;
+        if (datagram) {
+          packets.push({ timestamp, ...datagram });
+        }
+      }
+    } else if (type === 3 && interfaces[0]) { // Simple packet block (no timestamp)
+      const originalLength = read32(body);
+      const frame = buffer.subarray(body + 4, body + 4 + Math.min(originalLength, blockLength - 16));
+      const datagram = decodeLinkLayer(interfaces[0].linktype, frame, littleEndian);
+      if (datagram) {
+        packets.push({ timestamp: lastTimestamp, ...datagram });
+      }
+    }
+
+    offset += blockLength;
+  }
+
+  return packets;
+}
+
+/**
+ * Reads UDP datagrams from a pcap or pcapng capture
+ * Non-UDP and fragmented packets are skipped
+ * @param {Buffer} buffer - File contents
+ * @returns {Array} - [{timestamp (ms), sourceIP, sourcePort, destIP, destPort, data}]
+ */
+function readCapture(buffer) {
+  if (buffer.length < GLOBAL_HEADER_SIZE) {
+    throw new Error('File is too short to be a pcap capture');
+  }
+
+  const magic = buffer.readUInt32LE(0);
+  if (magic === PCAPNG_SHB) {
+    return readPcapng(buffer);
+  }
+
+  if ([PCAP_MAGIC, PCAP_MAGIC_NS].includes(magic) || [PCAP_MAGIC, PCAP_MAGIC_NS].includes(buffer.readUInt32BE(0))) {
+    return readClassic(buffer);
+  }
+
+  throw new Error('Not a pcap or pcapng file');
+}
+
+module.exports = {
+  LINKTYPES,
+  PcapWriter,
+  buildPcap,
+  encodeRecord,
+  readCapture
+};
@@ -0,0 +1,144 @@
+/**
+ * PCAP Replay
+ * Feeds datagrams from a pcap/pcapng capture through udpListener.handleMessage
+ * at the original pace, accelerated, or as fast as possible
+ */
+
+const config = require('./config');
+const udpListener = require('./udpListener');
+const packetDemux = require('./packetDemux');
+const sourceFilter = require('./sourceFilter');
+const { readCapture } = require('./pcap');
+
+class PcapReplay {
+  constructor() {
+    this.timer = null;
+    this.state = null;
+    this.completion = Promise.resolve(null);
+  }
+
+  /**
+   * Starts replaying a capture
+   * Packets go to the equipment listening on their destination port, else the
+   * equipment with their source IP, unless equipmentId forces one equipment
+   * @param {Buffer} buffer - pcap or pcapng file contents
+   * @param {object} options - {speed (1 = original, 10 = 10x, 0 = no delay), equipmentId, source}
+   * @returns {object} - Replay status; await `completion` for the final status
+   */
+  replay(buffer, { speed = 1, equipmentId = null, source = 'upload' } = {}) {
+    if (this.isRunning()) {
+      throw new Error('A replay is already running');
+    }
+
+    if (!(speed >= 0)) {
+      throw new Error('Speed must be a number >= 0');
+    }
+
+    let forced = null;
+    if (equipmentId) {
+      forced = config.getEquipmentById(equipmentId);
+      if (!forced) {
+        throw new Error(`Equipment ${equipmentId} not found`);
+      }
+    }
+
+    const packets = readCapture(buffer)
+      .filter(packet => packet.timestamp !== null)
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(packet => ({ ...packet, equipment: forced || this.findEquipment(packet) }));
+
+    const matched = packets.filter(packet => packet.equipment);
+
+    this.state = {
+      running: true,
+      source,
+      speed,
+      equipmentId,
+      total: packets.length,
+      matched: matched.length,
+      skipped: packets.length - matched.length,
+      replayed: 0,
+      captureDurationMs: matched.length > 1 ? matched[matched.length - 1].timestamp - matched[0].timestamp : 0,
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+
+    console.log(`[PCAP] ▶️  Replaying ${matched.length} of ${packets.length} datagrams from ${source} at ${speed === 0 ? 'full speed' : `${speed}x`}`);
+
+    this.completion = new Promise(resolve => {
+      this.resolveCompletion = resolve;
+    });
+    this.schedule(matched, 0, Date.now());
+
+    return this.getStatus();
+  }
+
+  /**
+   * Sends packets in order, each at its capture offset divided by the speed
+   */
+  schedule(packets, index, startedAt) {
+    if (index >= packets.length) {
+      this.finish();
+      return;
+    }
+
+    const packet = packets[index];
+    const offset = packet.timestamp - packets[0].timestamp;
+    const delay = this.state.speed === 0 ? 0 : Math.max(0, startedAt + offset / this.state.speed - Date.now());
+
+    this.timer = setTimeout(() => {
+      udpListener.handleMessage(packet.equipment, packet.data, {
+        address: packet.sourceIP,
+        port: packet.sourcePort
+      });
+      this.state.replayed++;
+      this.schedule(packets, index + 1, startedAt);
+    }, delay);
+  }
+
+  /**
+   * Matches a captured datagram to equipment by destination port (demultiplexed
+   * like live traffic when the port is shared), then source IP
+   */
+  findEquipment(packet) {
+    const equipment = config.getEnabledEquipment();
+    const onPort = equipment.filter(eq => eq.port === packet.destPort);
+
+    if (onPort.length > 0) {
+      return packetDemux.route(onPort, packet.data, { address: packet.sourceIP, port: packet.sourcePort });
+    }
+
+    return equipment.find(eq => sourceFilter.isAllowedSource(eq, packet.sourceIP)) || null;
+  }
+
+  /**
+   * Stops a running replay
+   */
+  stop() {
+    if (this.isRunning()) {
+      clearTimeout(this.timer);
+      console.log('[PCAP] ⏹️  Replay stopped');
+      this.finish();
+    }
+
+    return this.getStatus();
+  }
+
+  finish() {
+    this.timer = null;
+    this.state.running = false;
+    this.state.finishedAt = new Date().toISOString();
+    console.log(`[PCAP] ✅ Replay finished: ${this.state.replayed}/${this.state.matched} datagrams`);
+    this.resolveCompletion(this.getStatus());
+  }
+
+  isRunning() {
+    return this.state !== null && this.state.running;
+  }
+
+  getStatus() {
+    return this.state ? { ...this.state } : { running: false };
+  }
+}
+
+module.exports = new PcapReplay();
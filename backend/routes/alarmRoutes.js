@@ -0,0 +1,199 @@
+/**
+ * Alarm Routes
+ * Active alarm list, acknowledgement and shelving
+ * Mounted at /api/alarms
+ */
+
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const alarmManager = require('../alarmManager');
+
+const MAX_COMMENT_LENGTH = 500;
+
+/**
+ * Validates the operator comment and name sent with an alarm action
+ * @returns {object} - {valid: boolean, error?: string}
+ */
+function validateOperatorInput(body) {
+  const { comment, operator } = body;
+
+  if (typeof comment !== 'string' || comment.trim() === '') {
+    return { valid: false, error: 'A comment is required' };
+  }
+
+  if (comment.length > MAX_COMMENT_LENGTH) {
+    return { valid: false, error: `Comment must be at most ${MAX_COMMENT_LENGTH} characters` };
+  }
+
+  if (operator !== undefined && operator !== null && (typeof operator !== 'string' || operator.length > 50)) {
+    return { valid: false, error: 'Operator must be a name of at most 50 characters' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Sends the result of an alarm action
+ */
+function sendResult(res, result, message) {
+  if (!result.success) {
+    return res.status(result.code).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  res.json({
+    success: true,
+    alarm: result.alarm,
+    message
+  });
+}
+
+/**
+ * GET /api/alarms
+ * List active alarms, most severe first
+ * Query: equipment (comma-separated IDs), shelved=false to hide shelved alarms
+ */
+router.get('/', (req, res) => {
+  try {
+    const alarms = alarmManager.getActive({
+      equipmentIds: req.query.equipment ? String(req.query.equipment).split(',').map(id => id.trim()) : undefined,
+      includeShelved: req.query.shelved !== 'false'
+    });
+
+    res.json({
+      success: true,
+      data: alarms,
+      count: alarms.length,
+      unacknowledged: alarms.filter(alarm => !alarm.acknowledgement).length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting alarms:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/alarms/:id
+ * Get one active alarm
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const alarm = alarmManager.getAlarm(req.params.id);
+    if (!alarm) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alarm not found or already cleared'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: alarm
+    });
+
+  } catch (error) {
+    console.error('Error getting alarm:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/alarms/:id/acknowledge
+ * Record that an operator has seen an alarm
+ * Body: {comment, operator?}
+ */
+router.post('/:id/acknowledge', (req, res) => {
+  try {
+    const validation = validateOperatorInput(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const result = alarmManager.acknowledge(req.params.id, {
+      comment: req.body.comment.trim(),
+      operator: req.body.operator ? req.body.operator.trim() : null
+    });
+    sendResult(res, result, 'Alarm acknowledged');
+
+  } catch (error) {
+    console.error('Error acknowledging alarm:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/alarms/:id/shelve
+ * Hide an alarm for a number of minutes
+ * Body: {minutes, comment, operator?}
+ */
+router.post('/:id/shelve', (req, res) => {
+  try {
+    const { minutes } = req.body;
+    const maxMinutes = config.alarms.maxShelveMinutes;
+
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > maxMinutes) {
+      return res.status(400).json({
+        success: false,
+        error: `minutes must be a whole number between 1 and ${maxMinutes}`
+      });
+    }
+
+    const validation = validateOperatorInput(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const result = alarmManager.shelve(req.params.id, {
+      minutes,
+      comment: req.body.comment.trim(),
+      operator: req.body.operator ? req.body.operator.trim() : null
+    });
+    sendResult(res, result, `Alarm shelved for ${minutes} minute(s)`);
+
+  } catch (error) {
+    console.error('Error shelving alarm:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/alarms/:id/unshelve
+ * Return a shelved alarm to the active list before its time is up
+ */
+router.post('/:id/unshelve', (req, res) => {
+  try {
+    sendResult(res, alarmManager.unshelve(req.params.id), 'Alarm unshelved');
+
+  } catch (error) {
+    console.error('Error unshelving alarm:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
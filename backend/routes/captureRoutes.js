@@ -0,0 +1,252 @@
+/**
+ * Capture Routes
+ * PCAP recording, capture file downloads and capture replay
+ * Mounted at /api/capture
+ */
+
+const express = require('express');
+const fs = require('fs');
+const router = express.Router();
+const config = require('../config');
+const captureRecorder = require('../captureRecorder');
+const pcapReplay = require('../pcapReplay');
+
+/**
+ * GET /api/capture/status
+ * Get recording and replay status
+ */
+router.get('/status', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      recorder: captureRecorder.getStatus(),
+      replay: pcapReplay.getStatus()
+    });
+
+  } catch (error) {
+    console.error('Error getting capture status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/capture/start
+ * Start recording received datagrams to pcap files
+ * Body: {equipmentIds?: [], maxFileMb?, maxFiles?}
+ */
+router.post('/start', (req, res) => {
+  try {
+    const { equipmentIds, maxFileMb, maxFiles } = req.body;
+
+    if (equipmentIds !== undefined && !Array.isArray(equipmentIds)) {
+      return res.status(400).json({
+        success: false,
+        error: 'equipmentIds must be an array of equipment IDs'
+      });
+    }
+
+    const unknown = (equipmentIds || []).filter(id => !config.getEquipmentById(id));
+    if (unknown.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: `Equipment not found: ${unknown.join(', ')}`
+      });
+    }
+
+    if ((maxFileMb !== undefined && !(maxFileMb > 0)) ||
+        (maxFiles !== undefined && (!Number.isInteger(maxFiles) || maxFiles < 1))) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxFileMb must be > 0 and maxFiles a positive integer'
+      });
+    }
+
+    const status = captureRecorder.start({
+      equipmentIds,
+      maxFileBytes: maxFileMb ? Math.round(maxFileMb * 1024 * 1024) : undefined,
+      maxFiles
+    });
+
+    res.json({
+      success: true,
+      recorder: status,
+      message: `Recording to ${status.file}`
+    });
+
+  } catch (error) {
+    console.error('Error starting capture:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/capture/stop
+ * Stop recording
+ */
+router.post('/stop', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      recorder: captureRecorder.stop()
+    });
+
+  } catch (error) {
+    console.error('Error stopping capture:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/capture/files
+ * List recorded capture files, newest first
+ */
+router.get('/files', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: captureRecorder.listFiles()
+    });
+
+  } catch (error) {
+    console.error('Error listing capture files:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/capture/files/:name
+ * Download a capture file
+ */
+router.get('/files/:name', (req, res) => {
+  try {
+    const filePath = captureRecorder.getFilePath(req.params.name);
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        error: 'Capture file not found'
+      });
+    }
+
+    res.download(filePath);
+
+  } catch (error) {
+    console.error('Error downloading capture file:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/capture/replay
+ * Replay a capture through the UDP listener
+ * Either upload the pcap/pcapng file as the raw request body
+ * (Content-Type: application/octet-stream, query: speed, equipmentId)
+ * or send JSON {file, speed, equipmentId} naming a recorded capture file
+ */
+router.post('/replay', express.raw({ type: ['application/octet-stream', 'application/vnd.tcpdump.pcap'], limit: '100mb' }), (req, res) => {
+  try {
+    let buffer;
+    let source;
+    let options;
+
+    if (Buffer.isBuffer(req.body)) {
+      buffer = req.body;
+      source = req.query.name || 'upload';
+      options = req.query;
+    } else {
+      const filePath = captureRecorder.getFilePath(req.body.file || '');
+      if (!filePath) {
+        return res.status(404).json({
+          success: false,
+          error: 'Capture file not found'
+        });
+      }
+      buffer = fs.readFileSync(filePath);
+      source = req.body.file;
+      options = req.body;
+    }
+
+    const speed = options.speed !== undefined ? Number(options.speed) : 1;
+    const equipmentId = options.equipmentId || null;
+
+    if (pcapReplay.isRunning()) {
+      return res.status(409).json({
+        success: false,
+        error: 'A replay is already running'
+      });
+    }
+
+    if (!(speed >= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Speed must be a number >= 0'
+      });
+    }
+
+    if (equipmentId && !config.getEquipmentById(equipmentId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Equipment ${equipmentId} not found`
+      });
+    }
+
+    // With the options checked, what is left to fail is reading the capture itself
+    let status;
+    try {
+      status = pcapReplay.replay(buffer, { speed, equipmentId, source });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      replay: status
+    });
+
+  } catch (error) {
+    console.error('Error starting replay:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/capture/replay/stop
+ * Stop a running replay
+ */
+router.post('/replay/stop', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      replay: pcapReplay.stop()
+    });
+
+  } catch (error) {
+    console.error('Error stopping replay:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+/**
+ * Decode Routes
+ * Explains how a raw packet is decoded, for troubleshooting vendor reports
+ * Mounted at /api/decode
+ */
+
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const icdDecoder = require('../icdDecoder');
+const icdProfiles = require('../icdProfiles');
+
+/**
+ * Parses a hex or base64 payload into a Buffer
+ * Hex may contain spaces, colons, dashes or 0x prefixes ("AA 55 01", "0xAA,0x55")
+ * @param {string} payload - Encoded payload
+ * @param {string} encoding - 'hex', 'base64' or undefined to detect
+ * @returns {Buffer|null} - Decoded bytes, or null if the payload is not valid
+ */
+function parsePayload(payload, encoding) {
+  if (typeof payload !== 'string' || payload.trim() === '') {
+    return null;
+  }
+
+  const hexDigits = payload.replace(/0x/gi, '').replace(/[\s:,-]/g, '');
+  const isHex = /^[0-9a-fA-F]*$/.test(hexDigits) && hexDigits.length % 2 === 0;
+
+  if (encoding === 'hex' || (!encoding && isHex)) {
+    return isHex ? Buffer.from(hexDigits, 'hex') : null;
+  }
+
+  if (encoding === 'base64' || !encoding) {
+    const base64 = payload.replace(/\s/g, '');
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+      return null;
+    }
+
+    // Reject strings Node would silently truncate (e.g. a stray character)
+    const buffer = Buffer.from(base64, 'base64');
+    return buffer.toString('base64').replace(/=+$/, '') === base64.replace(/=+$/, '') ? buffer : null;
+  }
+
+  return null;
+}
+
+/**
+ * POST /api/decode
+ * Explain how a raw packet decodes
+ * Body: {payload, encoding?: 'hex'|'base64', equipmentId?, icdProfile?}
+ */
+router.post('/', (req, res) => {
+  try {
+    const { payload, encoding, equipmentId, icdProfile } = req.body;
+
+    if (encoding && encoding !== 'hex' && encoding !== 'base64') {
+      return res.status(400).json({
+        success: false,
+        error: "Encoding must be 'hex' or 'base64'"
+      });
+    }
+
+    const buffer = parsePayload(payload, encoding);
+    if (!buffer || buffer.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Payload must be a non-empty hex or base64 string'
+      });
+    }
+
+    let equipment = null;
+    if (equipmentId) {
+      equipment = config.getEquipmentById(equipmentId);
+      if (!equipment) {
+        return res.status(404).json({
+          success: false,
+          error: 'Equipment not found'
+        });
+      }
+    }
+
+    if (icdProfile && !icdProfiles.hasProfile(icdProfile)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown ICD profile '${icdProfile}'`
+      });
+    }
+
+    // An explicit profile wins over the equipment's configured profile
+    const profile = icdProfile
+      ? icdProfiles.getProfile(icdProfile)
+      : (equipment ? icdProfiles.getProfileForEquipment(equipment) : icdProfiles.getDefaultProfile());
+
+    const explanation = icdDecoder.explainPacket(buffer, profile, equipment ? equipment.aggregation : {});
+
+    res.json({
+      success: true,
+      equipmentId: equipment ? equipment.id : null,
+      data: explanation
+    });
+
+  } catch (error) {
+    console.error('Error decoding payload:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -4,19 +4,105 @@
  */
 
 const express = require('express');
+const net = require('net');
 const router = express.Router();
 const config = require('../config');
 const udpListener = require('../udpListener');
 const websocketServer = require('../websocketServer');
+const equipmentManager = require('../equipmentManager');
+const alarmManager = require('../alarmManager');
+const icdProfiles = require('../icdProfiles');
+const statusAggregator = require('../statusAggregator');
+const packetDemux = require('../packetDemux');
+const packetCapture = require('../packetCapture');
+const networkInterfaces = require('../networkInterfaces');
+const { buildPcap } = require('../pcap');
 const validator = require('../validators/equipmentValidator');
 
+// Fields PUT /api/equipment/:id may change (rules have their own routes)
+const UPDATABLE_FIELDS = [
+  'name',
+  'ip',
+  'port',
+  'enabled',
+  'icdProfile',
+  'aggregation',
+  'allowedSources',
+  'strictSource',
+  'demux',
+  'multicast',
+  'bindAddress',
+  'rawHistory',
+  'expectedIntervalMs',
+  'timeoutMs',
+  'flapping',
+  'normalPath'
+];
+
+/**
+ * Validates optional allowedSources / strictSource settings
+ * @returns {object} - {valid: boolean, error?: string}
+ */
+function validateSourceSettings(allowedSources, strictSource) {
+  if (allowedSources !== undefined) {
+    const sourcesValidation = validator.validateAllowedSources(allowedSources);
+    if (!sourcesValidation.valid) {
+      return sourcesValidation;
+    }
+  }
+
+  if (strictSource !== undefined && strictSource !== null && typeof strictSource !== 'boolean') {
+    return { valid: false, error: 'strictSource must be true, false or null (server default)' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validates an optional bindAddress (interface name or local address) against
+ * this host and the equipment sharing the port, which use the same socket
+ * @param {string|null} bindAddress - Interface name or address, null/'' for the server host
+ * @param {number} port - Listening port
+ * @param {Array} peers - Other equipment on the port
+ * @returns {object} - {valid: boolean, error?: string}
+ */
+function validateBindSettings(bindAddress, port, peers = []) {
+  if (bindAddress !== undefined && bindAddress !== null && bindAddress !== '') {
+    const bindValidation = networkInterfaces.validate(bindAddress);
+    if (!bindValidation.valid) {
+      return bindValidation;
+    }
+  }
+
+  const mismatch = peers.find(peer => (peer.bindAddress || null) !== (bindAddress || null));
+  if (mismatch) {
+    return {
+      valid: false,
+      error: `Port ${port} is shared with ${mismatch.name}, which binds to ${mismatch.bindAddress || 'the server host'}`
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Keeps only the multicast fields the listener uses
+ */
+function normalizeMulticast(multicast) {
+  const normalized = { group: multicast.group.trim() };
+  if (multicast.interface) {
+    normalized.interface = multicast.interface.trim();
+  }
+  return normalized;
+}
+
 /**
  * POST /api/equipment/add
  * Add new equipment
  */
 router.post('/add', (req, res) => {
   try {
-    const { name, ip, port, enabled, id } = req.body;
+    const { name, ip, port, enabled, id, icdProfile, aggregation, allowedSources, strictSource, demux, multicast, bindAddress, rawHistory, expectedIntervalMs, timeoutMs, flapping, normalPath } = req.body;
 
     // Validate inputs
     const validation = validator.validateEquipmentConfig({ name, ip, port });
@@ -28,6 +114,77 @@ router.post('/add', (req, res) => {
       });
     }
 
+    // Validate ICD profile if provided
+    if (icdProfile && !icdProfiles.hasProfile(icdProfile)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown ICD profile '${icdProfile}'`
+      });
+    }
+
+    // Validate aggregation policy if provided
+    const aggregationValidation = statusAggregator.validate(aggregation);
+    if (!aggregationValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: aggregationValidation.error
+      });
+    }
+
+    // Validate source allow-list if provided
+    const sourcesValidation = validateSourceSettings(allowedSources, strictSource);
+    if (!sourcesValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: sourcesValidation.error
+      });
+    }
+
+    if (rawHistory !== undefined && typeof rawHistory !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'rawHistory must be true or false'
+      });
+    }
+
+    // Validate heartbeat timing if provided
+    const timingValidation = validator.validateTiming({ expectedIntervalMs, timeoutMs }, config.server.connectionTimeout);
+    if (!timingValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: timingValidation.error
+      });
+    }
+
+    // Validate flapping detection settings if provided
+    const flappingValidation = validator.validateFlapping(flapping);
+    if (!flappingValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: flappingValidation.error
+      });
+    }
+
+    // Validate normal path if provided
+    const normalPathValidation = validator.validateNormalPath(normalPath);
+    if (!normalPathValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: normalPathValidation.error
+      });
+    }
+
+    // Validate multicast subscription if provided
+    if (multicast) {
+      const multicastValidation = validator.validateMulticast(multicast);
+      if (!multicastValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: multicastValidation.error
+        });
+      }
+    }
+
     // Generate or use provided ID
     const equipmentId = id || validator.generateEquipmentId(name);
 
@@ -39,8 +196,8 @@ router.post('/add', (req, res) => {
       });
     }
 
-    // Check port availability
-    const portCheck = config.isPortAvailable(port);
+    // Check port availability (a port can be shared when every equipment on it has demux settings)
+    const portCheck = config.isPortAvailable(parseInt(port), null, Boolean(demux));
     if (!portCheck.available) {
       const suggestedPort = config.getNextAvailablePort(port);
       return res.status(409).json({
@@ -50,15 +207,83 @@ router.post('/add', (req, res) => {
       });
     }
 
+    // Validate demux settings against the equipment already on the port
+    if (demux !== undefined) {
+      const demuxValidation = packetDemux.validate(
+        { name, ip, port: parseInt(port), allowedSources, demux },
+        config.getEquipmentOnPort(parseInt(port))
+      );
+      if (!demuxValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: demuxValidation.error
+        });
+      }
+    }
+
+    // Validate the bind address exists on this host (and matches equipment sharing the port)
+    const bindValidation = validateBindSettings(bindAddress, parseInt(port), config.getEquipmentOnPort(parseInt(port)));
+    if (!bindValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: bindValidation.error
+      });
+    }
+
     // Create equipment object
     const equipment = {
       id: equipmentId,
       name: name.trim(),
       ip: ip.trim(),
       port: parseInt(port),
+      icdProfile: icdProfile || 'default',
       enabled: enabled !== false
     };
 
+    if (aggregation) {
+      equipment.aggregation = aggregation;
+    }
+
+    if (allowedSources !== undefined) {
+      equipment.allowedSources = allowedSources.map(entry => entry.trim());
+    }
+
+    if (typeof strictSource === 'boolean') {
+      equipment.strictSource = strictSource;
+    }
+
+    if (demux) {
+      equipment.demux = demux;
+    }
+
+    if (multicast) {
+      equipment.multicast = normalizeMulticast(multicast);
+    }
+
+    if (bindAddress) {
+      equipment.bindAddress = bindAddress.trim();
+    }
+
+    if (rawHistory) {
+      equipment.rawHistory = true;
+    }
+
+    if (expectedIntervalMs) {
+      equipment.expectedIntervalMs = expectedIntervalMs;
+    }
+
+    if (timeoutMs) {
+      equipment.timeoutMs = timeoutMs;
+    }
+
+    if (flapping !== undefined && flapping !== null) {
+      equipment.flapping = flapping;
+    }
+
+    if (normalPath) {
+      equipment.normalPath = normalPath;
+    }
+
     // Add to configuration
     config.addEquipment(equipment);
     config.save();
@@ -108,6 +333,21 @@ router.put('/:id', (req, res) => {
       });
     }
 
+    if (updates.rules !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: `Rules cannot be changed here, use /api/equipment/${id}/rules`
+      });
+    }
+
+    const unknownFields = Object.keys(updates).filter(field => !UPDATABLE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown field(s): ${unknownFields.join(', ')}`
+      });
+    }
+
     // Validate updates
     if (updates.name) {
       const nameValidation = validator.validateName(updates.name);
@@ -120,7 +360,7 @@ router.put('/:id', (req, res) => {
     }
 
     if (updates.ip) {
-      const ipValidation = validator.validateIPv4(updates.ip);
+      const ipValidation = validator.validateIP(updates.ip);
       if (!ipValidation.valid) {
         return res.status(400).json({
           success: false,
@@ -129,6 +369,86 @@ router.put('/:id', (req, res) => {
       }
     }
 
+    if (updates.icdProfile !== undefined && !icdProfiles.hasProfile(updates.icdProfile)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown ICD profile '${updates.icdProfile}'`
+      });
+    }
+
+    if (updates.aggregation !== undefined) {
+      const aggregationValidation = statusAggregator.validate(updates.aggregation);
+      if (!aggregationValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: aggregationValidation.error
+        });
+      }
+    }
+
+    const sourcesValidation = validateSourceSettings(updates.allowedSources, updates.strictSource);
+    if (!sourcesValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: sourcesValidation.error
+      });
+    }
+
+    if (updates.allowedSources !== undefined) {
+      updates.allowedSources = updates.allowedSources.map(entry => entry.trim());
+    }
+
+    if (updates.rawHistory !== undefined && typeof updates.rawHistory !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'rawHistory must be true or false'
+      });
+    }
+
+    if (updates.expectedIntervalMs !== undefined || updates.timeoutMs !== undefined) {
+      const timingValidation = validator.validateTiming({
+        expectedIntervalMs: updates.expectedIntervalMs !== undefined ? updates.expectedIntervalMs : equipment.expectedIntervalMs,
+        timeoutMs: updates.timeoutMs !== undefined ? updates.timeoutMs : equipment.timeoutMs
+      }, config.server.connectionTimeout);
+      if (!timingValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: timingValidation.error
+        });
+      }
+    }
+
+    const flappingValidation = validator.validateFlapping(updates.flapping);
+    if (!flappingValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: flappingValidation.error
+      });
+    }
+
+    const normalPathValidation = validator.validateNormalPath(updates.normalPath);
+    if (!normalPathValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: normalPathValidation.error
+      });
+    }
+
+    if (updates.normalPath === '') {
+      updates.normalPath = null;
+    }
+
+    if (updates.multicast) {
+      const multicastValidation = validator.validateMulticast(updates.multicast);
+      if (!multicastValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: multicastValidation.error
+        });
+      }
+      updates.multicast = normalizeMulticast(updates.multicast);
+    }
+
     if (updates.port !== undefined) {
       const portValidation = validator.validatePort(updates.port);
       if (!portValidation.valid) {
@@ -139,7 +459,8 @@ router.put('/:id', (req, res) => {
       }
 
       // Check if port is available (excluding current equipment)
-      const portCheck = config.isPortAvailable(updates.port, id);
+      const demux = updates.demux !== undefined ? updates.demux : equipment.demux;
+      const portCheck = config.isPortAvailable(parseInt(updates.port), id, Boolean(demux));
       if (!portCheck.available) {
         return res.status(409).json({
           success: false,
@@ -148,9 +469,38 @@ router.put('/:id', (req, res) => {
       }
     }
 
+    if (typeof updates.bindAddress === 'string') {
+      updates.bindAddress = updates.bindAddress.trim() || null;
+    }
+
+    // Validate demux settings against the equipment sharing the (new) port
+    const candidate = { ...equipment, ...updates };
+    candidate.port = parseInt(candidate.port);
+    if (candidate.demux || updates.demux !== undefined) {
+      const demuxValidation = packetDemux.validate(candidate, config.getEquipmentOnPort(candidate.port, id));
+      if (!demuxValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: demuxValidation.error
+        });
+      }
+    }
+
+    // The socket is re-created when the bind address or port changes, so check the address is still on this host
+    if (updates.bindAddress !== undefined || updates.port !== undefined) {
+      const bindValidation = validateBindSettings(candidate.bindAddress, candidate.port, config.getEquipmentOnPort(candidate.port, id));
+      if (!bindValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: bindValidation.error
+        });
+      }
+    }
+
     // Store old port for listener update
     const oldPort = equipment.port;
     const portChanged = updates.port !== undefined && updates.port !== oldPort;
+    const bindChanged = updates.bindAddress !== undefined && (updates.bindAddress || null) !== (equipment.bindAddress || null);
 
     // Update configuration
     const updatedEquipment = config.updateEquipment(id, updates);
@@ -166,6 +516,12 @@ router.put('/:id', (req, res) => {
       udpListener.updateEquipmentIP(id, updates.ip);
     }
 
+    // Re-create the socket if the bind address or multicast group changed: a group
+    // needs a socket of its family with reuseAddr (a port change already re-creates it)
+    if ((bindChanged || updates.multicast !== undefined) && !portChanged && equipment.enabled) {
+      udpListener.rebindEquipment(id);
+    }
+
     // Broadcast to WebSocket clients
     websocketServer.broadcast({
       type: 'equipment_updated',
@@ -202,7 +558,7 @@ router.put('/:id/ip', (req, res) => {
     const { ip } = req.body;
 
     // Validate IP
-    const ipValidation = validator.validateIPv4(ip);
+    const ipValidation = validator.validateIP(ip);
     if (!ipValidation.valid) {
       return res.status(400).json({
         success: false,
@@ -265,7 +621,9 @@ router.put('/:id/port', (req, res) => {
     }
 
     // Check availability
-    const portCheck = config.isPortAvailable(port, id);
+    const existing = config.getEquipmentById(id);
+    const shared = Boolean(existing && existing.demux);
+    const portCheck = config.isPortAvailable(parseInt(port), id, shared);
     if (!portCheck.available) {
       return res.status(409).json({
         success: false,
@@ -273,6 +631,27 @@ router.put('/:id/port', (req, res) => {
       });
     }
 
+    if (shared) {
+      const demuxValidation = packetDemux.validate(
+        { ...existing, port: parseInt(port) },
+        config.getEquipmentOnPort(parseInt(port), id)
+      );
+      if (!demuxValidation.valid) {
+        return res.status(409).json({
+          success: false,
+          error: demuxValidation.error
+        });
+      }
+
+      const bindValidation = validateBindSettings(existing.bindAddress, parseInt(port), config.getEquipmentOnPort(parseInt(port), id));
+      if (!bindValidation.valid) {
+        return res.status(409).json({
+          success: false,
+          error: bindValidation.error
+        });
+      }
+    }
+
     // Update
     const equipment = config.updateEquipment(id, { port: parseInt(port) });
     if (!equipment) {
@@ -309,6 +688,46 @@ router.put('/:id/port', (req, res) => {
   }
 });
 
+/**
+ * POST /api/equipment/:id/restart-listener
+ * Rebind the equipment's UDP socket now (resets the retry backoff)
+ */
+router.post('/:id/restart-listener', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const equipment = config.getEquipmentById(id);
+    if (!equipment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Equipment not found'
+      });
+    }
+
+    if (equipment.enabled === false) {
+      return res.status(400).json({
+        success: false,
+        error: `Equipment '${equipment.name}' is disabled`
+      });
+    }
+
+    udpListener.restartListener(id);
+
+    res.json({
+      success: true,
+      listener: udpListener.getListenerState(id),
+      message: `Listener for '${equipment.name}' restarted on port ${equipment.port}`
+    });
+
+  } catch (error) {
+    console.error('Error restarting listener:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/equipment/:id
  * Delete equipment
@@ -334,6 +753,8 @@ router.delete('/:id', (req, res) => {
     // Remove from configuration
     config.removeEquipment(id);
     config.save();
+    alarmManager.clearEquipment(id);
+    equipmentManager.removeEquipment(id);
 
     // Broadcast to WebSocket clients
     websocketServer.broadcast({
@@ -365,7 +786,7 @@ router.delete('/:id', (req, res) => {
  */
 router.get('/check-port', (req, res) => {
   try {
-    const { port, excludeId } = req.query;
+    const { port, excludeId, shared } = req.query;
 
     if (!port) {
       return res.status(400).json({
@@ -383,12 +804,16 @@ router.get('/check-port', (req, res) => {
       });
     }
 
-    const portCheck = config.isPortAvailable(parseInt(port), excludeId);
+    const portCheck = config.isPortAvailable(parseInt(port), excludeId, shared === 'true');
     const response = {
       available: portCheck.available,
       port: parseInt(port)
     };
 
+    if (portCheck.sharedWith) {
+      response.sharedWith = portCheck.sharedWith;
+    }
+
     if (!portCheck.available) {
       response.usedBy = portCheck.usedBy;
       response.suggestedPort = config.getNextAvailablePort(parseInt(port) + 1);
@@ -420,9 +845,10 @@ router.get('/validate-ip', (req, res) => {
       });
     }
 
-    const validation = validator.validateIPv4(ip);
+    const validation = validator.validateIP(ip);
     res.json({
       valid: validation.valid,
+      version: validation.version,
       error: validation.error
     });
 
@@ -435,6 +861,170 @@ router.get('/validate-ip', (req, res) => {
   }
 });
 
+/**
+ * GET /api/equipment/icd-profiles
+ * List available ICD profiles
+ */
+router.get('/icd-profiles', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: icdProfiles.getAllProfiles()
+    });
+
+  } catch (error) {
+    console.error('Error listing ICD profiles:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/equipment/aggregation-policies
+ * List supported status aggregation policies
+ */
+router.get('/aggregation-policies', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: statusAggregator.getPolicies()
+    });
+
+  } catch (error) {
+    console.error('Error listing aggregation policies:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/equipment/demux-methods
+ * List supported shared-port demultiplexing methods
+ */
+router.get('/demux-methods', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: packetDemux.getMethods()
+    });
+
+  } catch (error) {
+    console.error('Error listing demux methods:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/equipment/network-interfaces
+ * List the server's network interfaces and addresses (for per-equipment bind settings)
+ */
+router.get('/network-interfaces', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: networkInterfaces.list()
+    });
+
+  } catch (error) {
+    console.error('Error listing network interfaces:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/equipment/:id/packets
+ * Get recently received raw packets, newest first
+ * Query: limit (default 50), afterId (only newer packets), rejected=true (rejected only)
+ */
+router.get('/:id/packets', (req, res) => {
+  try {
+    const { id } = req.params;
+    const equipment = config.getEquipmentById(id);
+
+    if (!equipment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Equipment not found'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, packetCapture.capacity);
+    const packets = packetCapture.getPackets(id, {
+      limit,
+      afterId: parseInt(req.query.afterId) || 0,
+      rejectedOnly: req.query.rejected === 'true'
+    });
+
+    res.json({
+      success: true,
+      equipmentId: id,
+      capacity: packetCapture.capacity,
+      buffered: packetCapture.getCount(id),
+      count: packets.length,
+      data: packets
+    });
+
+  } catch (error) {
+    console.error('Error getting packets:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/equipment/:id/packets/pcap
+ * Download the captured packets as a pcap file
+ */
+router.get('/:id/packets/pcap', (req, res) => {
+  try {
+    const { id } = req.params;
+    const equipment = config.getEquipmentById(id);
+
+    if (!equipment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Equipment not found'
+      });
+    }
+
+    const localAddress = net.isIP(config.server.host) ? config.server.host : '0.0.0.0';
+    const packets = packetCapture.getPackets(id, { limit: packetCapture.capacity })
+      .reverse()
+      .map(packet => ({
+        timestamp: packet.timestamp,
+        sourceIP: packet.sourceIP,
+        sourcePort: packet.sourcePort,
+        destIP: localAddress,
+        destPort: packet.listenPort,
+        data: Buffer.from(packet.hex, 'hex')
+      }));
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    res.set('Content-Type', 'application/vnd.tcpdump.pcap');
+    res.attachment(`${id}-${stamp}.pcap`);
+    res.send(buildPcap(packets));
+
+  } catch (error) {
+    console.error('Error exporting packets:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/equipment/next-port
  * Get next available port
@@ -0,0 +1,136 @@
+/**
+ * History Routes
+ * Event history queries with time range, filters and cursor pagination
+ * Mounted at /api/history
+ */
+
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const equipmentManager = require('../equipmentManager');
+const historyStore = require('../historyStore');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 1000;
+
+/**
+ * Splits a comma-separated query parameter (undefined when absent)
+ */
+function parseList(value, transform = item => item) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  return String(value).split(',').map(item => transform(item.trim())).filter(Boolean);
+}
+
+/**
+ * Parses and validates history query parameters
+ * @returns {object} - {valid: boolean, error?: string, filters?}
+ */
+function parseQuery(query, equipmentIds) {
+  const filters = {
+    equipmentIds,
+    types: parseList(query.type),
+    statuses: parseList(query.status, item => item.toUpperCase()),
+    paths: parseList(query.path, item => item.toUpperCase()),
+    limit: DEFAULT_LIMIT,
+    cursor: query.cursor
+  };
+
+  if (query.limit !== undefined) {
+    filters.limit = parseInt(query.limit);
+    if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > MAX_LIMIT) {
+      return { valid: false, error: `limit must be between 1 and ${MAX_LIMIT}` };
+    }
+  }
+
+  for (const key of ['from', 'to']) {
+    if (query[key] !== undefined) {
+      filters[key] = Date.parse(query[key]);
+      if (isNaN(filters[key])) {
+        return { valid: false, error: `${key} must be an ISO 8601 timestamp` };
+      }
+    }
+  }
+
+  if (filters.from !== undefined && filters.to !== undefined && filters.from > filters.to) {
+    return { valid: false, error: 'from must be before to' };
+  }
+
+  if (filters.cursor !== undefined && !historyStore.decodeCursor(filters.cursor)) {
+    return { valid: false, error: 'Invalid cursor' };
+  }
+
+  return { valid: true, filters };
+}
+
+/**
+ * Runs a history query against the persisted event log
+ * With persistence disabled only the in-memory events are searched (no further pages)
+ * @returns {Promise<object>} - {events, nextCursor}
+ */
+async function runQuery(filters) {
+  if (config.history.enabled) {
+    return historyStore.query(filters);
+  }
+
+  const ids = filters.equipmentIds || Array.from(equipmentManager.eventHistory.keys());
+  const events = ids
+    .flatMap(id => equipmentManager.getHistory(id, equipmentManager.maxHistorySize))
+    .filter(event => historyStore.matches(event, filters))
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+  return { events: events.slice(0, filters.limit), nextCursor: null };
+}
+
+/**
+ * Handles a history query for the given equipment (all equipment when undefined)
+ */
+async function handleQuery(req, res, equipmentIds) {
+  try {
+    const parsed = parseQuery(req.query, equipmentIds);
+    if (!parsed.valid) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    const result = await runQuery(parsed.filters);
+
+    res.json({
+      success: true,
+      data: result.events,
+      count: result.events.length,
+      nextCursor: result.nextCursor,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting history:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/history
+ * Query the history of several (default: all) equipment
+ * Query: equipment, from, to, type, status, path (comma-separated lists), limit, cursor
+ */
+router.get('/', (req, res) => {
+  handleQuery(req, res, parseList(req.query.equipment));
+});
+
+/**
+ * GET /api/history/:equipmentId
+ * Query the history of one equipment (same query parameters as above)
+ */
+router.get('/:equipmentId', (req, res) => {
+  handleQuery(req, res, [req.params.equipmentId]);
+});
+
+module.exports = router;
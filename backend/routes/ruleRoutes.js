@@ -0,0 +1,212 @@
+/**
+ * Threshold Rule Routes
+ * Manages per-equipment alert limits on analog parameters
+ * Mounted at /api/equipment/:id/rules
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const config = require('../config');
+const websocketServer = require('../websocketServer');
+const validator = require('../validators/equipmentValidator');
+
+/**
+ * Picks the stored fields of a rule from a request body
+ */
+function buildRule(id, body, existing = {}) {
+  const rule = {
+    id,
+    name: body.name ? body.name.trim() : (existing.name || id),
+    parameter: body.parameter,
+    enabled: body.enabled !== false
+  };
+
+  if (body.warning) rule.warning = { min: body.warning.min, max: body.warning.max };
+  if (body.alarm) rule.alarm = { min: body.alarm.min, max: body.alarm.max };
+
+  return rule;
+}
+
+/**
+ * Saves an equipment's rules and notifies dashboards
+ */
+function saveRules(equipment, rules) {
+  config.updateEquipment(equipment.id, { rules });
+  config.save();
+
+  websocketServer.broadcast({
+    type: 'equipment_updated',
+    data: { id: equipment.id, equipment, changes: { rules } }
+  });
+}
+
+/**
+ * GET /api/equipment/:id/rules
+ * List threshold rules for equipment
+ */
+router.get('/', (req, res) => {
+  try {
+    const equipment = config.getEquipmentById(req.params.id);
+    if (!equipment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Equipment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: equipment.rules || []
+    });
+
+  } catch (error) {
+    console.error('Error listing rules:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/equipment/:id/rules
+ * Add threshold rule
+ */
+router.post('/', (req, res) => {
+  try {
+    const equipment = config.getEquipmentById(req.params.id);
+    if (!equipment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Equipment not found'
+      });
+    }
+
+    const validation = validator.validateRule(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const rules = equipment.rules || [];
+    const ruleId = req.body.id || validator.generateEquipmentId(req.body.name || `${req.body.parameter} limits`);
+
+    if (rules.some(rule => rule.id === ruleId)) {
+      return res.status(409).json({
+        success: false,
+        error: `Rule '${ruleId}' already exists`
+      });
+    }
+
+    const rule = buildRule(ruleId, req.body);
+    saveRules(equipment, [...rules, rule]);
+
+    res.json({
+      success: true,
+      rule,
+      message: `Rule '${rule.name}' added`
+    });
+
+  } catch (error) {
+    console.error('Error adding rule:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/equipment/:id/rules/:ruleId
+ * Replace threshold rule
+ */
+router.put('/:ruleId', (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const equipment = config.getEquipmentById(req.params.id);
+    if (!equipment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Equipment not found'
+      });
+    }
+
+    const rules = equipment.rules || [];
+    const index = rules.findIndex(rule => rule.id === ruleId);
+    if (index === -1) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    const validation = validator.validateRule(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const rule = buildRule(ruleId, req.body, rules[index]);
+    const updatedRules = [...rules];
+    updatedRules[index] = rule;
+    saveRules(equipment, updatedRules);
+
+    res.json({
+      success: true,
+      rule,
+      message: `Rule '${rule.name}' updated`
+    });
+
+  } catch (error) {
+    console.error('Error updating rule:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/equipment/:id/rules/:ruleId
+ * Delete threshold rule
+ */
+router.delete('/:ruleId', (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const equipment = config.getEquipmentById(req.params.id);
+    if (!equipment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Equipment not found'
+      });
+    }
+
+    const rules = equipment.rules || [];
+    if (!rules.some(rule => rule.id === ruleId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    saveRules(equipment, rules.filter(rule => rule.id !== ruleId));
+
+    res.json({
+      success: true,
+      message: `Rule '${ruleId}' deleted`
+    });
+
+  } catch (error) {
+    console.error('Error deleting rule:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
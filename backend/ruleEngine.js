@@ -0,0 +1,74 @@
+/**
+ * Threshold Rule Engine
+ * Derives WARNING/ALARM statuses from analog parameters using per-equipment rules
+ */
+
+const LEVELS = ['NORMAL', 'WARNING', 'ALARM'];
+
+class RuleEngine {
+  /**
+   * Evaluates equipment rules against decoded parameters
+   * A value outside the alarm range is an ALARM, outside the warning range a WARNING
+   * @param {Array} rules - Equipment rules [{id, parameter, warning: {min, max}, alarm: {min, max}}]
+   * @param {Array} parameters - Decoded parameters from icdDecoder.decodePacket
+   * @returns {object} - {derivedStatus, breaches: [{ruleId, parameter, value, level, limit, message}]}
+   */
+  evaluate(rules = [], parameters = []) {
+    const breaches = [];
+
+    rules
+      .filter(rule => rule.enabled !== false)
+      .forEach(rule => {
+        const parameter = parameters.find(p => p.id === rule.parameter);
+        if (!parameter || parameter.value === null) {
+          return;
+        }
+
+        const breach = this.checkRange(rule.alarm, parameter.value, 'ALARM') ||
+          this.checkRange(rule.warning, parameter.value, 'WARNING');
+
+        if (breach) {
+          breaches.push({
+            ruleId: rule.id,
+            ruleName: rule.name || rule.id,
+            parameter: parameter.id,
+            parameterName: parameter.name,
+            unit: parameter.unit,
+            value: parameter.value,
+            level: breach.level,
+            limit: breach.limit,
+            message: `${parameter.name} ${parameter.value} ${parameter.unit} ${breach.side} ${breach.level.toLowerCase()} limit ${breach.limit}`.replace(/\s+/g, ' ')
+          });
+        }
+      });
+
+    const derivedStatus = breaches.reduce(
+      (worst, breach) => LEVELS.indexOf(breach.level) > LEVELS.indexOf(worst) ? breach.level : worst,
+      'NORMAL'
+    );
+
+    return { derivedStatus, breaches };
+  }
+
+  /**
+   * Checks a value against a {min, max} range
+   * @returns {object|null} - {level, limit, side} when outside the range
+   */
+  checkRange(range, value, level) {
+    if (!range) {
+      return null;
+    }
+
+    if (range.min !== undefined && range.min !== null && value < range.min) {
+      return { level, limit: range.min, side: 'below' };
+    }
+
+    if (range.max !== undefined && range.max !== null && value > range.max) {
+      return { level, limit: range.max, side: 'above' };
+    }
+
+    return null;
+  }
+}
+
+module.exports = new RuleEngine();
@@ -7,9 +7,20 @@ const express = require('express');
 const path = require('path');
 const config = require('./config');
 const equipmentManager = require('./equipmentManager');
+const packetStats = require('./packetStats');
+const sourceFilter = require('./sourceFilter');
 const udpListener = require('./udpListener');
 const websocketServer = require('./websocketServer');
 const equipmentRoutes = require('./routes/equipmentRoutes');
+const ruleRoutes = require('./routes/ruleRoutes');
+const decodeRoutes = require('./routes/decodeRoutes');
+const captureRoutes = require('./routes/captureRoutes');
+const historyRoutes = require('./routes/historyRoutes');
+const alarmRoutes = require('./routes/alarmRoutes');
+const captureRecorder = require('./captureRecorder');
+const configReloader = require('./configReloader');
+const historyStore = require('./historyStore');
+const alarmManager = require('./alarmManager');
 
 const app = express();
 
@@ -29,6 +40,19 @@ app.use((req, res, next) => {
 
 // Equipment management routes
 app.use('/api/equipment', equipmentRoutes);
+app.use('/api/equipment/:id/rules', ruleRoutes);
+
+// Packet decode/explain routes
+app.use('/api/decode', decodeRoutes);
+
+// PCAP capture/replay routes
+app.use('/api/capture', captureRoutes);
+
+// Event history queries
+app.use('/api/history', historyRoutes);
+
+// Alarm list, acknowledgement and shelving
+app.use('/api/alarms', alarmRoutes);
 
 /**
  * GET /api/status
@@ -81,32 +105,6 @@ app.get('/api/status/:equipmentId', (req, res) => {
   }
 });
 
-/**
- * GET /api/history/:equipmentId
- * Get recent event history for specific equipment
- */
-app.get('/api/history/:equipmentId', (req, res) => {
-  try {
-    const { equipmentId } = req.params;
-    const limit = parseInt(req.query.limit) || 50;
-    
-    const history = equipmentManager.getHistory(equipmentId, limit);
-    
-    res.json({
-      success: true,
-      data: history,
-      count: history.length,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error getting history:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
 /**
  * GET /api/equipment
  * Get list of configured equipment
@@ -142,7 +140,17 @@ app.get('/api/equipment/ports', (req, res) => {
       port: eq.port,
       enabled: eq.enabled !== false,
       listening: udpListener.isListening(eq.port),
-      lastPacket: equipmentManager.getLastUpdate(eq.id)
+      listener: udpListener.getListenerState(eq.id),
+      lastPacket: equipmentManager.getLastUpdate(eq.id),
+      rejections: equipmentManager.getRejectionStats(eq.id),
+      stats: packetStats.getStats(eq.id),
+      droppedFromRogueSources: sourceFilter.getDroppedCount(eq.id),
+      demux: eq.demux || null,
+      multicast: eq.multicast || null,
+      bindAddress: eq.bindAddress || null,
+      boundAddress: udpListener.getBoundAddress(eq.port),
+      sharedPort: config.getEquipmentOnPort(eq.port).length > 1,
+      unroutable: udpListener.getUnroutableStats(eq.port)
     }));
     res.json({ 
       success: true, 
@@ -158,6 +166,50 @@ app.get('/api/equipment/ports', (req, res) => {
   }
 });
 
+/**
+ * GET /api/rogue-sources
+ * Get senders outside the equipment allow-lists (optional ?equipmentId=)
+ */
+app.get('/api/rogue-sources', (req, res) => {
+  try {
+    const rogueSources = sourceFilter.getRogueSources(req.query.equipmentId || null);
+
+    res.json({
+      success: true,
+      data: rogueSources,
+      count: rogueSources.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error getting rogue sources:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/rogue-sources
+ * Clear the rogue source list (optional ?equipmentId=)
+ */
+app.delete('/api/rogue-sources', (req, res) => {
+  try {
+    sourceFilter.clear(req.query.equipmentId || null);
+
+    res.json({
+      success: true,
+      message: 'Rogue sources cleared'
+    });
+  } catch (error) {
+    console.error('Error clearing rogue sources:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /api/equipment/:id/port
  * Update individual equipment port
@@ -175,8 +227,8 @@ app.post('/api/equipment/:id/port', (req, res) => {
       });
     }
     
-    // Check if port is already in use
-    if (udpListener.isPortInUse(port, id)) {
+    // Check if port is already in use (and cannot be shared)
+    if (udpListener.isPortInUse(port, id) && !udpListener.canSharePort(port, config.getEquipmentById(id))) {
       return res.status(409).json({
         success: false,
         error: `Port ${port} is already in use by another equipment`
@@ -263,6 +315,7 @@ app.get('/api/health', (req, res) => {
     ports: ports,
     webPort: config.server.webPort,
     connectedClients: websocketServer.getClientCount(),
+    history: historyStore.getStatus(),
     timestamp: new Date().toISOString()
   });
 });
@@ -314,16 +367,63 @@ const server = app.listen(PORT, () => {
 // Initialize WebSocket server
 websocketServer.initialize(server);
 
+// Restore last known status and recent history, then keep persisting events
+if (config.history.enabled) {
+  historyStore.start();
+  const restored = historyStore.loadRecent(
+    equipmentManager.maxHistorySize,
+    config.getAllEquipment().map(eq => eq.id)
+  );
+  equipmentManager.restore(restored, historyStore.loadSnapshot());
+  console.log(`[History] ♻️  Restored history for ${restored.size} equipment`);
+}
+
+// Restore active alarms (acknowledgements and shelving survive a restart)
+alarmManager.start();
+
 // Start UDP listener with callback for status updates
 udpListener.start((status) => {
   // Broadcast status update to all WebSocket clients
   websocketServer.broadcast(status);
 });
 
-// Check connection status periodically
+// Continuous PCAP recording
+if (config.capture.continuous) {
+  captureRecorder.start();
+}
+
+// Apply equipment.json edits without a restart (file watcher and SIGHUP)
+configReloader.start();
+
+// Check connection status periodically and tell dashboards which equipment is late or went silent
+// (each equipment's expectedIntervalMs/timeoutMs, otherwise the server connectionTimeout)
 setInterval(() => {
-  equipmentManager.checkConnectionStatus(30000);
-}, 10000); // Check every 10 seconds
+  equipmentManager.checkConnectionStatus(config.server.connectionTimeout).forEach(event => {
+    const equipment = config.getEquipmentById(event.equipmentId);
+    const name = equipment ? equipment.name : event.equipmentId;
+    if (event.type === 'connection_late') {
+      console.warn(`[${name}] ⏱️  Late: no data for ${event.silenceMs} ms (expected every ${event.expectedIntervalMs} ms)`);
+    } else {
+      console.warn(`[${name}] 📴 No data for ${Math.round(event.silenceMs / 1000)}s - connection lost`);
+    }
+    websocketServer.broadcast({ type: event.type, data: event });
+    alarmManager.updateFromConnection(event);
+  });
+
+  // Flapping episodes end once the equipment settles: send the status held back meanwhile
+  equipmentManager.checkFlapping().forEach(event => {
+    const equipment = config.getEquipmentById(event.equipmentId);
+    const name = equipment ? equipment.name : event.equipmentId;
+    console.log(`[${name}] 〰️  Flapping ended after ${Math.round(event.durationMs / 1000)}s (${event.transitions} changes)`);
+
+    websocketServer.broadcast({ type: event.type, data: event });
+    const status = equipmentManager.getStatus(event.equipmentId);
+    if (status) {
+      websocketServer.broadcast(status);
+    }
+    alarmManager.updateFromFlapping(event);
+  });
+}, 1000); // Check every second so short intervals are noticed promptly
 
 // ==================== Graceful Shutdown ====================
 
@@ -333,7 +433,11 @@ process.on('SIGINT', shutdown);
 function shutdown() {
   console.log('\nShutting down gracefully...');
   
+  configReloader.stop();
+  alarmManager.stop();
   udpListener.stop();
+  captureRecorder.stop();
+  historyStore.stop();
   websocketServer.close();
   
   server.close(() => {
@@ -0,0 +1,219 @@
+/**
+ * Source Filter
+ * Checks packet source addresses against each equipment's allow-list
+ * and keeps track of rogue (unexpected) senders
+ */
+
+const net = require('net');
+const config = require('./config');
+
+const ROGUE_SOURCE = 'ROGUE_SOURCE';
+const MAX_ROGUES_PER_EQUIPMENT = 50;
+
+/**
+ * Strips the IPv4-mapped IPv6 prefix (::ffff:192.168.1.1 -> 192.168.1.1)
+ * and any IPv6 zone (fe80::1%eth0 -> fe80::1)
+ */
+function normalizeAddress(ip) {
+  return ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '').replace(/%.*$/, '');
+}
+
+/**
+ * Parses an IPv4 or IPv6 address into its family and numeric value
+ * @returns {object|null} - {version: 4|6, value: BigInt}, null if not an address
+ */
+function parseAddress(ip) {
+  const address = normalizeAddress(ip);
+
+  if (net.isIPv4(address)) {
+    return {
+      version: 4,
+      value: address.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(octet), 0n)
+    };
+  }
+
+  if (!net.isIPv6(address)) {
+    return null;
+  }
+
+  // Expand '::' and a trailing dotted quad into eight 16-bit groups
+  let text = address;
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const octets = dotted[1].split('.').map(Number);
+    text = text.slice(0, -dotted[1].length) +
+      `${((octets[0] << 8) | octets[1]).toString(16)}:${((octets[2] << 8) | octets[3]).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail !== undefined && tail !== '' ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+  return {
+    version: 6,
+    value: groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n)
+  };
+}
+
+/**
+ * Checks an address against an allow-list entry (single IP or CIDR range, IPv4 or IPv6)
+ */
+function matchesEntry(ip, entry) {
+  const [network, prefix] = entry.split('/');
+  const address = parseAddress(ip);
+  const range = parseAddress(network);
+
+  if (!address || !range || address.version !== range.version) {
+    return false;
+  }
+
+  const bits = address.version === 4 ? 32 : 128;
+  const hostBits = BigInt(bits - (prefix === undefined ? bits : Number(prefix)));
+  return (address.value >> hostBits) === (range.value >> hostBits);
+}
+
+class SourceFilter {
+  constructor() {
+    this.rogueSources = new Map(); // Map<"equipmentId|ip", rogue source entry>
+  }
+
+  /**
+   * Gets the sources accepted for an equipment
+   * Explicit allowedSources win, otherwise the configured IP ('auto' accepts any source)
+   */
+  getAllowedSources(equipment) {
+    if (Array.isArray(equipment.allowedSources) && equipment.allowedSources.length > 0) {
+      return equipment.allowedSources;
+    }
+
+    return equipment.ip && equipment.ip !== 'auto' ? [equipment.ip] : [];
+  }
+
+  /**
+   * Whether packets from unexpected sources are dropped for an equipment
+   * Per-equipment strictSource overrides the server-wide strictSourceIP
+   */
+  isStrict(equipment) {
+    return typeof equipment.strictSource === 'boolean'
+      ? equipment.strictSource
+      : config.server.strictSourceIP === true;
+  }
+
+  /**
+   * Checks whether an address is on the equipment's allow-list (no exceptions)
+   */
+  isAllowedSource(equipment, sourceIp) {
+    return this.getAllowedSources(equipment).some(entry => matchesEntry(sourceIp, entry));
+  }
+
+  /**
+   * Checks a packet's source address
+   * @returns {object} - {allowed, strict}
+   */
+  check(equipment, sourceIp) {
+    const strict = this.isStrict(equipment);
+    // Localhost (the simulator) is let through unless the allow-list is enforced
+    const isLocalhost = matchesEntry(sourceIp, '127.0.0.1') || matchesEntry(sourceIp, '::1');
+
+    const allowed = (isLocalhost && !strict) ||
+      this.getAllowedSources(equipment).length === 0 ||
+      this.isAllowedSource(equipment, sourceIp);
+
+    return { allowed, strict };
+  }
+
+  /**
+   * Records a packet from a source outside the equipment's allow-list
+   * @param {object} equipment - Equipment configuration
+   * @param {object} packet - {sourceIP, sourcePort, length, dropped}
+   * @returns {object} - Updated rogue source entry
+   */
+  recordRogue(equipment, { sourceIP, sourcePort, length, dropped }) {
+    const key = `${equipment.id}|${sourceIP}`;
+    const timestamp = new Date().toISOString();
+
+    if (!this.rogueSources.has(key)) {
+      this.evictOldestRogue(equipment.id);
+      this.rogueSources.set(key, {
+        equipmentId: equipment.id,
+        equipmentName: equipment.name,
+        sourceIP,
+        packets: 0,
+        dropped: 0,
+        firstSeen: timestamp
+      });
+    }
+
+    const rogue = this.rogueSources.get(key);
+    rogue.packets++;
+    if (dropped) {
+      rogue.dropped++;
+    }
+    rogue.lastSourcePort = sourcePort;
+    rogue.lastLength = length;
+    rogue.lastSeen = timestamp;
+    rogue.listenPort = equipment.port;
+    rogue.allowedSources = this.getAllowedSources(equipment);
+
+    return rogue;
+  }
+
+  /**
+   * Makes room for a new rogue source: an equipment keeps at most
+   * MAX_ROGUES_PER_EQUIPMENT, the one seen longest ago is forgotten
+   */
+  evictOldestRogue(equipmentId) {
+    let count = 0;
+    let oldestKey = null;
+    let oldestSeen = null;
+
+    this.rogueSources.forEach((rogue, key) => {
+      if (rogue.equipmentId !== equipmentId) {
+        return;
+      }
+      count++;
+      if (oldestSeen === null || rogue.lastSeen < oldestSeen) {
+        oldestKey = key;
+        oldestSeen = rogue.lastSeen;
+      }
+    });
+
+    if (count >= MAX_ROGUES_PER_EQUIPMENT) {
+      this.rogueSources.delete(oldestKey);
+    }
+  }
+
+  /**
+   * Gets rogue sources, most recently seen first
+   * @param {string} equipmentId - Optional equipment filter
+   */
+  getRogueSources(equipmentId = null) {
+    return Array.from(this.rogueSources.values())
+      .filter(rogue => !equipmentId || rogue.equipmentId === equipmentId)
+      .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+  }
+
+  /**
+   * Gets the number of dropped packets for an equipment
+   */
+  getDroppedCount(equipmentId) {
+    return this.getRogueSources(equipmentId).reduce((sum, rogue) => sum + rogue.dropped, 0);
+  }
+
+  /**
+   * Clears rogue sources (all, or for one equipment)
+   */
+  clear(equipmentId = null) {
+    for (const [key, rogue] of this.rogueSources) {
+      if (!equipmentId || rogue.equipmentId === equipmentId) {
+        this.rogueSources.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = new SourceFilter();
+module.exports.ROGUE_SOURCE = ROGUE_SOURCE;
@@ -0,0 +1,207 @@
+/**
+ * Status Aggregator
+ * Derives an equipment's overall path/status from its monitor channels
+ */
+
+/**
+ * Status severity, lowest to highest
+ */
+const SEVERITY = {
+  NORMAL: 0,
+  WARNING: 1,
+  ALARM: 2,
+  FAULT: 3,
+  UNKNOWN: 4
+};
+
+const SEVERITY_ORDER = Object.keys(SEVERITY);
+
+/**
+ * Supported aggregation policies
+ */
+const POLICIES = {
+  'worst-of': 'Worst status of all channels',
+  'vote': 'M-out-of-N voting (default: majority, e.g. 2-out-of-3)',
+  'primary-fallback': 'Primary channel, falling back to the next valid channel',
+  'active-only': 'Worst status of channels on the ACTIVE path',
+  'first-valid': 'First valid channel in the packet'
+};
+
+const DEFAULT_POLICY = 'worst-of';
+
+class StatusAggregator {
+  /**
+   * Aggregates decoded channels into an overall status
+   * @param {Array} channels - Decoded channels from icdDecoder.decodePacket
+   * @param {object} aggregation - Equipment aggregation config {policy, channels, required, primary, fallback}
+   * @returns {object} - {policy, path, status, channels, degraded, detail}
+   */
+  aggregate(channels, aggregation = {}) {
+    const policy = (aggregation && aggregation.policy) || DEFAULT_POLICY;
+    const validChannels = channels.filter(channel => channel.valid);
+
+    // Restrict to the configured channel set if one is given
+    const selected = aggregation && Array.isArray(aggregation.channels) && aggregation.channels.length > 0
+      ? validChannels.filter(channel => aggregation.channels.includes(channel.id))
+      : validChannels;
+
+    switch (policy) {
+      case 'vote':
+        return this.vote(selected, validChannels, aggregation);
+      case 'primary-fallback':
+        return this.primaryFallback(validChannels, aggregation);
+      case 'active-only':
+        return this.activeOnly(selected, validChannels);
+      case 'first-valid':
+        return this.result(policy, validChannels.slice(0, 1), validChannels[0].status, false,
+          `First valid channel ${validChannels[0].name}`);
+      case 'worst-of':
+      default:
+        return this.worstOf(policy, selected.length > 0 ? selected : validChannels, selected.length === 0);
+    }
+  }
+
+  /**
+   * Worst-of: highest severity among the given channels
+   */
+  worstOf(policy, channels, degraded, detail) {
+    const worst = channels.reduce((acc, channel) =>
+      this.severity(channel.status) > this.severity(acc.status) ? channel : acc
+    );
+
+    return this.result(policy, channels, worst.status, degraded,
+      detail || `Worst of ${channels.map(channel => channel.name).join(', ')}`);
+  }
+
+  /**
+   * M-out-of-N voting: the highest status reported (or exceeded) by at least
+   * `required` channels. Falls back to worst-of when too few channels are valid.
+   */
+  vote(selected, validChannels, aggregation) {
+    const configured = aggregation.channels && aggregation.channels.length > 0
+      ? aggregation.channels.length
+      : validChannels.length;
+    const required = aggregation.required || Math.floor(configured / 2) + 1;
+
+    if (selected.length < required) {
+      return this.worstOf('vote', selected.length > 0 ? selected : validChannels, true,
+        `Only ${selected.length} valid voter(s), ${required} required - using worst-of`);
+    }
+
+    for (let level = SEVERITY_ORDER.length - 1; level > 0; level--) {
+      const votes = selected.filter(channel => this.severity(channel.status) >= level).length;
+      if (votes >= required) {
+        return this.result('vote', selected, SEVERITY_ORDER[level], false,
+          `${votes} of ${selected.length} channels at ${SEVERITY_ORDER[level]} or worse (${required} required)`);
+      }
+    }
+
+    return this.result('vote', selected, 'NORMAL', false,
+      `Fewer than ${required} of ${selected.length} channels above NORMAL`);
+  }
+
+  /**
+   * Primary with fallback: first valid channel in [primary, ...fallback]
+   * Defaults to the profile's channel order
+   */
+  primaryFallback(validChannels, aggregation) {
+    const order = [aggregation.primary, ...(aggregation.fallback || [])].filter(Boolean);
+
+    for (const id of order) {
+      const channel = validChannels.find(c => c.id === id);
+      if (channel) {
+        return this.result('primary-fallback', [channel], channel.status, id !== order[0],
+          id === order[0] ? `Primary channel ${channel.name}` : `Fallback channel ${channel.name}`);
+      }
+    }
+
+    if (order.length > 0) {
+      return this.worstOf('primary-fallback', validChannels, true,
+        'Primary and fallback channels unavailable - using worst-of');
+    }
+
+    const channel = validChannels[0];
+    return this.result('primary-fallback', [channel], channel.status, false, `Primary channel ${channel.name}`);
+  }
+
+  /**
+   * Active transmitter only: worst-of across channels reporting the ACTIVE path
+   */
+  activeOnly(selected, validChannels) {
+    const pool = selected.length > 0 ? selected : validChannels;
+    const active = pool.filter(channel => channel.path === 'ACTIVE');
+
+    if (active.length === 0) {
+      return this.worstOf('active-only', pool, true, 'No channel on ACTIVE path - using worst-of');
+    }
+
+    return this.worstOf('active-only', active, false,
+      `Active channel(s) ${active.map(channel => channel.name).join(', ')}`);
+  }
+
+  /**
+   * Builds an aggregation result
+   * Overall path is ACTIVE if any contributing channel is on the active path
+   */
+  result(policy, channels, status, degraded, detail) {
+    const path = channels.some(channel => channel.path === 'ACTIVE')
+      ? 'ACTIVE'
+      : channels[0].path;
+
+    return {
+      policy,
+      path,
+      status,
+      channels: channels.map(channel => channel.id),
+      degraded,
+      detail
+    };
+  }
+
+  severity(status) {
+    return SEVERITY[status] !== undefined ? SEVERITY[status] : SEVERITY.UNKNOWN;
+  }
+
+  /**
+   * Validates an aggregation config
+   * @param {object} aggregation - Aggregation config
+   * @returns {object} - {valid: boolean, error?: string}
+   */
+  validate(aggregation) {
+    if (aggregation === null || aggregation === undefined) {
+      return { valid: true };
+    }
+
+    if (typeof aggregation !== 'object') {
+      return { valid: false, error: 'Aggregation must be an object' };
+    }
+
+    if (aggregation.policy && !POLICIES[aggregation.policy]) {
+      return { valid: false, error: `Unknown aggregation policy '${aggregation.policy}'` };
+    }
+
+    if (aggregation.channels !== undefined && !Array.isArray(aggregation.channels)) {
+      return { valid: false, error: 'Aggregation channels must be an array of channel IDs' };
+    }
+
+    if (aggregation.fallback !== undefined && !Array.isArray(aggregation.fallback)) {
+      return { valid: false, error: 'Aggregation fallback must be an array of channel IDs' };
+    }
+
+    if (aggregation.required !== undefined &&
+        (!Number.isInteger(aggregation.required) || aggregation.required < 1)) {
+      return { valid: false, error: 'Aggregation required votes must be a positive integer' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Gets the list of supported policies
+   */
+  getPolicies() {
+    return Object.entries(POLICIES).map(([id, description]) => ({ id, description }));
+  }
+}
+
+module.exports = new StatusAggregator();
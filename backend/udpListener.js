@@ -4,14 +4,32 @@
  */
 
 const dgram = require('dgram');
+const net = require('net');
 const config = require('./config');
 const icdDecoder = require('./icdDecoder');
+const icdProfiles = require('./icdProfiles');
 const equipmentManager = require('./equipmentManager');
+const alarmManager = require('./alarmManager');
+const ruleEngine = require('./ruleEngine');
+const packetStats = require('./packetStats');
+const packetCapture = require('./packetCapture');
+const captureRecorder = require('./captureRecorder');
+const sourceFilter = require('./sourceFilter');
+const packetDemux = require('./packetDemux');
+const networkInterfaces = require('./networkInterfaces');
+
+// While equipment is flapping, dashboards get its status at most this often
+const FLAPPING_BROADCAST_MS = 5000;
 
 class MultiPortUDPListener {
   constructor() {
     this.sockets = new Map(); // Map<port, socket>
-    this.equipmentMap = new Map(); // Map<port, equipmentConfig>
+    this.equipmentMap = new Map(); // Map<port, equipmentConfig[]> (several when the port is shared)
+    this.unroutable = new Map(); // Map<port, {count, lastSourceIP, lastSourcePort, lastSeen}>
+    this.memberships = new Map(); // Map<port, Map<"group|interface", Set<equipmentId>>> (multicast groups joined per socket)
+    this.recovery = new Map(); // Map<port, {timer, attempts, nextRetryAt, equipmentIds}> (sockets waiting to be rebound)
+    this.listenerFailures = new Map(); // Map<equipmentId, {port, error, since, attempts, nextRetryAt}>
+    this.flappingBroadcasts = new Map(); // Map<equipmentId, time of the last status broadcast while flapping>
     this.onStatusUpdate = null; // Callback for status updates
   }
 
@@ -42,7 +60,8 @@ class MultiPortUDPListener {
     });
 
     console.log('═══════════════════════════════════════════════════════════════');
-    console.log(`  ✅ Multi-port listener started for ${this.sockets.size} equipment`);
+    const listening = Array.from(this.equipmentMap.values()).reduce((sum, list) => sum + list.length, 0);
+    console.log(`  ✅ Multi-port listener started for ${listening} equipment on ${this.sockets.size} port(s)`);
     console.log('═══════════════════════════════════════════════════════════════');
   }
 
@@ -50,37 +69,412 @@ class MultiPortUDPListener {
    * Starts listener for a specific equipment
    */
   startEquipmentListener(equipment) {
-    // Check if port is already in use
-    if (this.sockets.has(equipment.port)) {
-      console.error(`[UDP] ❌ Port ${equipment.port} already in use by another equipment`);
+    const port = equipment.port;
+
+    if (this.isAttached(equipment.id)) {
+      return;
+    }
+
+    // Join the existing socket if the port can be shared, otherwise refuse
+    if (this.sockets.has(port)) {
+      if (!this.canSharePort(port, equipment)) {
+        console.error(`[UDP] ❌ Port ${port} already in use by another equipment`);
+        return;
+      }
+
+      this.equipmentMap.get(port).push(equipment);
+      this.joinMulticast(port, equipment);
+      console.log(`  ${equipment.name.padEnd(15)} → Port ${port.toString().padStart(4)} ✅ Shared (${packetDemux.describe(equipment)})`);
       return;
     }
 
-    // Create dedicated socket for this equipment
-    const server = dgram.createSocket('udp4');
+    // Create socket for this port (address reuse lets other receivers join the same group)
+    const socketOptions = this.getSocketOptions(equipment);
+    if (!socketOptions) {
+      console.error(`[UDP] ❌ ${equipment.name}: bind address '${equipment.bindAddress}' is not available on this host`);
+      this.markListenerDown(port, [equipment.id], `Bind address '${equipment.bindAddress}' is not available on this host`);
+      return;
+    }
+
+    const server = dgram.createSocket({
+      type: socketOptions.type,
+      ipv6Only: socketOptions.ipv6Only,
+      reuseAddr: Boolean(equipment.multicast)
+    });
     
     server.on('listening', () => {
-      const address = server.address();
-      console.log(`  ${equipment.name.padEnd(15)} → Port ${equipment.port.toString().padStart(4)} ✅ Listening`);
+      const via = equipment.bindAddress ? ` on ${equipment.bindAddress} (${socketOptions.address})` : '';
+      console.log(`  ${equipment.name.padEnd(15)} → Port ${port.toString().padStart(4)} ✅ Listening${via}`);
+
+      // Groups can only be joined once the socket is bound
+      this.memberships.set(port, new Map());
+      (this.equipmentMap.get(port) || []).forEach(eq => this.joinMulticast(port, eq));
+
+      this.markListenerUp(port);
     });
 
     server.on('message', (msg, rinfo) => {
-      this.handleMessage(equipment, msg, rinfo);
+      const target = packetDemux.route(this.equipmentMap.get(port) || [], msg, rinfo);
+      const local = target && target.multicast
+        ? { address: target.multicast.group, port }
+        : server.address();
+      captureRecorder.record(target, msg, rinfo, local);
+
+      if (!target) {
+        this.recordUnroutable(port, msg, rinfo);
+        return;
+      }
+
+      this.handleMessage(target, msg, rinfo);
     });
 
     server.on('error', (err) => {
-      console.error(`[UDP] ❌ Error on ${equipment.name} port ${equipment.port}: ${err.message}`);
-      // Remove from maps if error occurs
-      this.sockets.delete(equipment.port);
-      this.equipmentMap.delete(equipment.port);
+      console.error(`[UDP] ❌ Error on port ${port}: ${err.message}`);
+
+      // Ignore errors from a socket that has already been replaced
+      if (this.sockets.get(port) !== server) {
+        return;
+      }
+
+      const equipmentIds = (this.equipmentMap.get(port) || []).map(eq => eq.id);
+      try {
+        server.close();
+      } catch (error) {
+        // Socket was never bound or is already closed
+      }
+
+      // Remove from maps and rebind later
+      this.sockets.delete(port);
+      this.equipmentMap.delete(port);
+      this.memberships.delete(port);
+      this.markListenerDown(port, equipmentIds, err.message);
     });
 
-    // Bind to equipment's dedicated port
-    server.bind(equipment.port, config.server.host);
+    // Bind to equipment's port
+    server.bind(port, socketOptions.address);
     
     // Store references
-    this.sockets.set(equipment.port, server);
-    this.equipmentMap.set(equipment.port, equipment);
+    this.sockets.set(port, server);
+    this.equipmentMap.set(port, [equipment]);
+  }
+
+  /**
+   * Checks if an equipment is attached to a socket
+   */
+  isAttached(equipmentId) {
+    for (const equipmentList of this.equipmentMap.values()) {
+      if (equipmentList.some(eq => eq.id === equipmentId)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Records a failed listener and schedules a rebind with exponential backoff
+   * @param {number} port - Port whose socket failed
+   * @param {Array} equipmentIds - Equipment that were listening on it
+   * @param {string} message - Error message
+   */
+  markListenerDown(port, equipmentIds, message) {
+    const recovery = this.recovery.get(port) || { timer: null, attempts: 0, equipmentIds: new Set() };
+    clearTimeout(recovery.timer);
+
+    const { initialDelayMs, maxDelayMs } = config.listenerRetry;
+    const delay = Math.min(initialDelayMs * 2 ** recovery.attempts, maxDelayMs);
+    recovery.attempts++;
+    recovery.nextRetryAt = new Date(Date.now() + delay).toISOString();
+    equipmentIds.forEach(id => recovery.equipmentIds.add(id));
+    recovery.timer = setTimeout(() => this.retryListener(port), delay);
+    recovery.timer.unref();
+    this.recovery.set(port, recovery);
+
+    console.warn(`[UDP] ⚠️  Listener on port ${port} down, retry ${recovery.attempts} in ${delay / 1000} s`);
+
+    recovery.equipmentIds.forEach(id => {
+      const previous = this.listenerFailures.get(id);
+      const failure = {
+        equipmentId: id,
+        port,
+        error: message,
+        since: previous ? previous.since : new Date().toISOString(),
+        attempts: recovery.attempts,
+        nextRetryAt: recovery.nextRetryAt
+      };
+      this.listenerFailures.set(id, failure);
+
+      if (this.onStatusUpdate) {
+        this.onStatusUpdate({ type: 'listener_down', data: { ...failure, state: 'down' } });
+      }
+    });
+  }
+
+  /**
+   * Clears the failure state once a port's socket is listening again
+   */
+  markListenerUp(port) {
+    const recovery = this.recovery.get(port);
+    if (recovery) {
+      clearTimeout(recovery.timer);
+      this.recovery.delete(port);
+    }
+
+    (this.equipmentMap.get(port) || []).forEach(equipment => {
+      const failure = this.listenerFailures.get(equipment.id);
+      if (!failure) {
+        return;
+      }
+
+      this.listenerFailures.delete(equipment.id);
+      const downtimeMs = Date.now() - new Date(failure.since).getTime();
+      console.log(`[UDP] ✅ ${equipment.name} listener recovered on port ${port} after ${failure.attempts} failed attempt(s)`);
+
+      if (this.onStatusUpdate) {
+        this.onStatusUpdate({
+          type: 'listener_up',
+          data: { equipmentId: equipment.id, port, state: 'listening', downtimeMs, attempts: failure.attempts }
+        });
+      }
+    });
+  }
+
+  /**
+   * Rebinds a failed port for the equipment still configured on it
+   */
+  retryListener(port) {
+    const recovery = this.recovery.get(port);
+    if (!recovery) {
+      return;
+    }
+
+    recovery.timer = null;
+    const equipment = Array.from(recovery.equipmentIds)
+      .map(id => config.getEquipmentById(id))
+      .filter(eq => eq && eq.enabled !== false && eq.port === port);
+
+    if (equipment.length === 0) {
+      this.recovery.delete(port);
+      recovery.equipmentIds.forEach(id => this.listenerFailures.delete(id));
+      return;
+    }
+
+    console.log(`[UDP] 🔄 Rebinding port ${port} (attempt ${recovery.attempts + 1})`);
+    equipment.forEach(eq => this.startEquipmentListener(eq));
+  }
+
+  /**
+   * Stops retrying an equipment's listener (removed, disabled or moved)
+   */
+  clearRecovery(equipmentId) {
+    this.listenerFailures.delete(equipmentId);
+
+    for (const [port, recovery] of this.recovery) {
+      if (recovery.equipmentIds.delete(equipmentId) && recovery.equipmentIds.size === 0) {
+        clearTimeout(recovery.timer);
+        this.recovery.delete(port);
+      }
+    }
+  }
+
+  /**
+   * Restarts the socket an equipment listens on, resetting any backoff
+   * Equipment sharing the port are restarted with it
+   * @param {string} equipmentId - Equipment ID
+   */
+  restartListener(equipmentId) {
+    const equipment = config.getEquipmentById(equipmentId);
+
+    if (!equipment) {
+      throw new Error(`Equipment ${equipmentId} not found`);
+    }
+
+    const port = equipment.port;
+    const recovery = this.recovery.get(port);
+    const ids = new Set([
+      ...(recovery ? recovery.equipmentIds : []),
+      ...(this.equipmentMap.get(port) || []).map(eq => eq.id),
+      equipmentId
+    ]);
+
+    // Keep failures across the restart so clients hear listener_up once the socket binds
+    const failures = Array.from(ids).map(id => this.listenerFailures.get(id)).filter(Boolean);
+    ids.forEach(id => this.detachEquipment(id));
+    failures.forEach(failure => this.listenerFailures.set(failure.equipmentId, failure));
+
+    ids.forEach(id => {
+      const eq = config.getEquipmentById(id);
+      if (eq && eq.enabled !== false && eq.port === port) {
+        this.startEquipmentListener(eq);
+      }
+    });
+
+    console.log(`[UDP] 🔄 Restarted listener on port ${port}`);
+  }
+
+  /**
+   * Gets an equipment's listener state
+   * @returns {object} - {state: 'listening'|'starting'|'down'|'stopped', ...failure details when down}
+   */
+  getListenerState(equipmentId) {
+    const failure = this.listenerFailures.get(equipmentId);
+    if (failure) {
+      return { state: 'down', ...failure };
+    }
+
+    for (const [port, equipmentList] of this.equipmentMap) {
+      if (equipmentList.some(eq => eq.id === equipmentId)) {
+        return { state: this.getBoundAddress(port) ? 'listening' : 'starting', port };
+      }
+    }
+
+    return { state: 'stopped' };
+  }
+
+  /**
+   * Joins an equipment's multicast group on its port's socket
+   * Groups are joined once per socket and reference-counted by equipment
+   */
+  joinMulticast(port, equipment) {
+    const groups = this.memberships.get(port);
+    if (!equipment.multicast || !groups) {
+      return; // Not multicast, or joined when the socket starts listening
+    }
+
+    const { group } = equipment.multicast;
+    const iface = equipment.multicast.interface || this.getBindInterfaceAddress(equipment, group);
+    const key = `${group}|${iface || ''}`;
+
+    if (!groups.has(key)) {
+      try {
+        this.sockets.get(port).addMembership(group, iface);
+      } catch (error) {
+        console.error(`[UDP] ❌ ${equipment.name} could not join multicast group ${group}: ${error.message}`);
+        return;
+      }
+      groups.set(key, new Set());
+      console.log(`[UDP] ✅ Joined multicast group ${group} on port ${port}${iface ? ` via ${iface}` : ''}`);
+    }
+
+    groups.get(key).add(equipment.id);
+  }
+
+  /**
+   * Leaves the multicast group an equipment joined, once no other equipment on the port uses it
+   */
+  leaveMulticast(port, equipment) {
+    const groups = this.memberships.get(port);
+    if (!groups) {
+      return;
+    }
+
+    for (const [key, users] of groups) {
+      if (!users.delete(equipment.id) || users.size > 0) {
+        continue;
+      }
+
+      const [group, iface] = key.split('|');
+      try {
+        this.sockets.get(port).dropMembership(group, iface || undefined);
+        console.log(`[UDP] Left multicast group ${group} on port ${port}`);
+      } catch (error) {
+        console.error(`[UDP] ❌ Could not leave multicast group ${group}: ${error.message}`);
+      }
+      groups.delete(key);
+    }
+  }
+
+  /**
+   * Gets the multicast groups joined on a port
+   */
+  getMemberships(port) {
+    return Array.from((this.memberships.get(port) || new Map()).entries()).map(([key, users]) => {
+      const [group, iface] = key.split('|');
+      return { group, interface: iface || null, equipment: Array.from(users) };
+    });
+  }
+
+  /**
+   * Picks the socket family and bind address for an equipment
+   * An IPv6 host ('::') gives a dual-stack socket that also receives IPv4 packets
+   * (as ::ffff:a.b.c.d) unless server.ipv6Only is set. A multicast group needs
+   * the wildcard address of its own family to receive group traffic.
+   * A per-equipment bindAddress (interface name or local address) overrides the host.
+   * @returns {object|null} - {type: 'udp4'|'udp6', address, ipv6Only}, null if bindAddress is not on this host
+   */
+  getSocketOptions(equipment) {
+    const host = config.server.host;
+    const hostIsIPv6 = net.isIPv6(host);
+    const group = equipment.multicast && equipment.multicast.group;
+
+    if (group) {
+      return net.isIPv6(group)
+        ? { type: 'udp6', address: '::', ipv6Only: false }
+        : { type: 'udp4', address: '0.0.0.0', ipv6Only: false };
+    }
+
+    if (equipment.bindAddress) {
+      const resolved = networkInterfaces.resolve(equipment.bindAddress, hostIsIPv6 ? 6 : 4);
+      if (!resolved) {
+        return null;
+      }
+      return { type: resolved.family === 6 ? 'udp6' : 'udp4', address: resolved.address, ipv6Only: false };
+    }
+
+    return hostIsIPv6
+      ? { type: 'udp6', address: host, ipv6Only: config.server.ipv6Only === true }
+      : { type: 'udp4', address: host, ipv6Only: false };
+  }
+
+  /**
+   * Gets the address of an equipment's bind interface in a multicast group's family
+   * Used as the membership interface when the multicast settings name none
+   */
+  getBindInterfaceAddress(equipment, group) {
+    if (!equipment.bindAddress) {
+      return undefined;
+    }
+
+    const family = net.isIPv6(group) ? 6 : 4;
+    const resolved = networkInterfaces.resolve(equipment.bindAddress, family);
+    return resolved && resolved.family === family ? resolved.address : undefined;
+  }
+
+  /**
+   * Checks if an equipment can join the socket already listening on a port
+   * Every equipment on the port needs demux settings that tell them apart,
+   * and the same bind address since they share one socket
+   */
+  canSharePort(port, equipment) {
+    if (!equipment || !equipment.demux) {
+      return false;
+    }
+
+    const peers = (this.equipmentMap.get(port) || []).filter(eq => eq.id !== equipment.id);
+    const sameBinding = peers.every(peer => (peer.bindAddress || null) === (equipment.bindAddress || null));
+    return sameBinding && packetDemux.validate({ ...equipment, port }, peers).valid;
+  }
+
+  /**
+   * Counts a datagram on a shared port that matched no equipment
+   */
+  recordUnroutable(port, msg, rinfo) {
+    const stats = this.unroutable.get(port) || { count: 0 };
+
+    stats.count++;
+    stats.lastSourceIP = rinfo.address;
+    stats.lastSourcePort = rinfo.port;
+    stats.lastLength = msg.length;
+    stats.lastSeen = new Date().toISOString();
+    this.unroutable.set(port, stats);
+
+    console.warn(`[UDP] ⚠️  Port ${port}: no equipment matches packet from ${rinfo.address}:${rinfo.port} (${msg.length} bytes)`);
+  }
+
+  /**
+   * Gets unroutable packet counters for a port
+   */
+  getUnroutableStats(port) {
+    return this.unroutable.get(port) || { count: 0 };
   }
 
   /**
@@ -94,41 +488,175 @@ class MultiPortUDPListener {
       // Log received packet
       this.logPacket(equipment, msg, sourceIp, sourcePort);
 
-      // Validate source IP matches expected equipment IP (with localhost exception)
-      const isLocalhost = sourceIp === '127.0.0.1' || sourceIp === '::1' || sourceIp === '::ffff:127.0.0.1';
-      
-      if (!isLocalhost && equipment.ip !== sourceIp && !config.server.allowUnknownIPs) {
-        console.warn(`[${equipment.name}] ⚠️  Source IP mismatch! Expected ${equipment.ip}, got ${sourceIp}`);
+      // Validate source IP against the equipment's allow-list (with localhost exception)
+      const source = sourceFilter.check(equipment, sourceIp);
+
+      if (!source.allowed && source.strict) {
+        this.dropRogueSource(equipment, msg, sourceIp, sourcePort);
+        return;
+      }
+
+      if (!source.allowed && !config.server.allowUnknownIPs) {
+        console.warn(`[${equipment.name}] ⚠️  Source IP mismatch! Expected ${sourceFilter.getAllowedSources(equipment).join(', ')}, got ${sourceIp}`);
+        sourceFilter.recordRogue(equipment, { sourceIP: sourceIp, sourcePort, length: msg.length, dropped: false });
       }
 
-      // Decode the packet
-      const decoded = icdDecoder.decodePacket(msg);
+      // Decode the packet using this equipment's ICD profile
+      const profile = icdProfiles.getProfileForEquipment(equipment);
+      const decoded = icdDecoder.decodePacket(msg, profile, equipment.aggregation);
+
+      // Keep the raw packet for the packet inspector
+      packetCapture.record(equipment.id, {
+        msg,
+        sourceIP: sourceIp,
+        sourcePort,
+        listenPort: equipment.port,
+        decoded
+      });
 
       if (!decoded.valid) {
-        console.warn(`[${equipment.name}] Invalid packet from ${sourceIp}: ${decoded.error}`);
+        console.warn(`[${equipment.name}] Rejected packet from ${sourceIp}: ${decoded.reason} - ${decoded.error}`);
+
+        const rejections = equipmentManager.recordRejection(equipment.id, {
+          reason: decoded.reason,
+          error: decoded.error,
+          sourceIP: sourceIp,
+          sourcePort: sourcePort
+        });
+
+        // Typed messages are broadcast as-is
+        if (this.onStatusUpdate) {
+          this.onStatusUpdate({
+            type: 'packet_rejected',
+            data: {
+              equipmentId: equipment.id,
+              reason: decoded.reason,
+              error: decoded.error,
+              rejections
+            }
+          });
+        }
         return;
       }
 
+      // Track arrival rate, loss and jitter (sequence-based when the ICD has a counter)
+      const sequenceDef = profile.frame && profile.frame.sequence;
+      const arrival = packetStats.record(equipment.id, {
+        sequence: decoded.sequence,
+        modulo: sequenceDef ? sequenceDef.modulo : undefined
+      });
+
+      // Derive WARNING/ALARM from the equipment's threshold rules
+      const evaluation = ruleEngine.evaluate(equipment.rules, decoded.parameters);
+
       // Update equipment status
+      const previous = equipmentManager.getStatus(equipment.id);
       const status = equipmentManager.updateStatus(equipment.id, {
         ...decoded,
+        derivedStatus: evaluation.derivedStatus,
+        ruleBreaches: evaluation.breaches,
+        packetStats: arrival,
         sourceIP: sourceIp,
         sourcePort: sourcePort,
         listenPort: equipment.port
       });
+      const transitions = equipmentManager.recordTransitions(equipment.id, previous, status);
+      const ruleEvents = equipmentManager.updateRuleBreaches(equipment.id, evaluation.breaches);
+      const restored = transitions.find(event => event.type === 'connection_restored');
+      const flapping = transitions.find(event => event.type === 'flapping_started');
+      const changeover = transitions.find(event => event.type === 'changeover');
+
+      if (restored) {
+        console.log(`[${equipment.name}:${equipment.port}] 📶 Data restored after ${Math.round(restored.silenceMs / 1000)}s of silence`);
+      }
+
+      if (changeover) {
+        const swaps = changeover.channels.map(channel => `${channel.name} ${channel.from} → ${channel.to}`).join(', ');
+        console.log(`[${equipment.name}:${equipment.port}] 🔀 Changeover ${changeover.from} → ${changeover.to}` +
+          (swaps ? ` (${swaps})` : '') + (changeover.expected === false ? ' (unexpected)' : ''));
+      }
+
+      if (flapping) {
+        console.warn(`[${equipment.name}:${equipment.port}] 〰️  Flapping: ${flapping.transitions} status/path changes within ${Math.round(flapping.windowMs / 1000)}s`);
+      }
+
+      const now = Date.now();
+      const throttled = status.flapping && !flapping &&
+        now - (this.flappingBroadcasts.get(equipment.id) || 0) < FLAPPING_BROADCAST_MS;
       
-      console.log(`[${equipment.name}:${equipment.port}] Status: ${status.path} | ${status.status}`);
+      console.log(`[${equipment.name}:${equipment.port}] Status: ${status.path} | ${status.status}` +
+        (status.derivedStatus !== 'NORMAL' ? ` | Rules: ${status.derivedStatus}` : ''));
 
       // Notify via callback (for WebSocket broadcast)
       if (this.onStatusUpdate) {
-        this.onStatusUpdate(status);
+        if (restored) {
+          this.onStatusUpdate({ type: restored.type, data: restored });
+        }
+        if (changeover) {
+          this.onStatusUpdate({ type: changeover.type, data: changeover });
+        }
+        if (flapping) {
+          this.onStatusUpdate({ type: flapping.type, data: flapping });
+        }
+        if (!throttled) {
+          this.onStatusUpdate(status);
+          this.flappingBroadcasts.set(equipment.id, now);
+        }
+        ruleEvents.forEach(event => this.onStatusUpdate({ type: event.type, data: event }));
       }
 
+      // Raise, update or clear the equipment's alarms
+      if (restored) {
+        alarmManager.updateFromConnection(restored);
+      }
+      if (changeover) {
+        alarmManager.updateFromChangeover(changeover);
+      }
+      if (flapping) {
+        alarmManager.updateFromFlapping(flapping);
+      }
+      alarmManager.updateFromStatus(status);
+
     } catch (error) {
       console.error(`[${equipment.name}] Error handling UDP message: ${error.message}`);
     }
   }
 
+  /**
+   * Drops a packet from a source outside the allow-list (strict mode)
+   * The packet is kept in the inspector buffer but never decoded into status
+   */
+  dropRogueSource(equipment, msg, sourceIp, sourcePort) {
+    console.warn(`[${equipment.name}] 🚫 Dropped packet from unexpected source ${sourceIp}:${sourcePort}`);
+
+    const rogue = sourceFilter.recordRogue(equipment, {
+      sourceIP: sourceIp,
+      sourcePort,
+      length: msg.length,
+      dropped: true
+    });
+
+    packetCapture.record(equipment.id, {
+      msg,
+      sourceIP: sourceIp,
+      sourcePort,
+      listenPort: equipment.port,
+      decoded: {
+        valid: false,
+        reason: sourceFilter.ROGUE_SOURCE,
+        error: `Source ${sourceIp} is not in the allowed sources (${rogue.allowedSources.join(', ')})`,
+        profile: icdProfiles.getProfileForEquipment(equipment).id
+      }
+    });
+
+    if (this.onStatusUpdate) {
+      this.onStatusUpdate({
+        type: 'rogue_source',
+        data: { ...rogue }
+      });
+    }
+  }
+
   /**
    * Logs packet information
    */
@@ -159,12 +687,8 @@ class MultiPortUDPListener {
       return false;
     }
     
-    const equipment = this.equipmentMap.get(port);
-    if (equipment && equipment.id === excludeEquipmentId) {
-      return false;
-    }
-    
-    return true;
+    const equipment = this.equipmentMap.get(port) || [];
+    return equipment.some(eq => eq.id !== excludeEquipmentId);
   }
 
   /**
@@ -177,23 +701,17 @@ class MultiPortUDPListener {
       throw new Error(`Equipment ${equipmentId} not found`);
     }
 
-    // Check if new port is already in use
-    if (this.isPortInUse(newPort, equipmentId)) {
+    // Check if new port is already in use (and cannot be shared)
+    if (this.isPortInUse(newPort, equipmentId) && !this.canSharePort(newPort, equipment)) {
       throw new Error(`Port ${newPort} is already in use`);
     }
 
-    // Stop old socket
-    const oldPort = equipment.port;
-    if (this.sockets.has(oldPort)) {
-      const socket = this.sockets.get(oldPort);
-      socket.close();
-      this.sockets.delete(oldPort);
-      this.equipmentMap.delete(oldPort);
-      console.log(`[UDP] Closed ${equipment.name} port ${oldPort}`);
-    }
+    // Leave the old port (closing its socket if no other equipment shares it)
+    const oldPort = this.detachEquipment(equipmentId);
 
     // Update port in equipment
     equipment.port = newPort;
+    packetStats.reset(equipmentId);
 
     // Start new socket on new port
     this.startEquipmentListener(equipment);
@@ -201,24 +719,92 @@ class MultiPortUDPListener {
     console.log(`[UDP] ✅ ${equipment.name} moved from port ${oldPort} to ${newPort}`);
   }
 
+  /**
+   * Re-creates an equipment's socket after its bind address or multicast group changed
+   * @param {string} equipmentId - Equipment ID
+   */
+  rebindEquipment(equipmentId) {
+    const equipment = config.getEquipmentById(equipmentId);
+
+    if (!equipment) {
+      throw new Error(`Equipment ${equipmentId} not found`);
+    }
+
+    this.detachEquipment(equipmentId);
+    this.startEquipmentListener(equipment);
+
+    console.log(`[UDP] ✅ ${equipment.name} rebound to ${equipment.bindAddress || config.server.host}`);
+  }
+
+  /**
+   * Removes an equipment from its port, closing the socket once no equipment is left on it
+   * @returns {number|null} - Port the equipment was on
+   */
+  detachEquipment(equipmentId) {
+    this.clearRecovery(equipmentId);
+
+    for (const [port, equipmentList] of this.equipmentMap) {
+      const index = equipmentList.findIndex(eq => eq.id === equipmentId);
+      if (index === -1) {
+        continue;
+      }
+
+      const [equipment] = equipmentList.splice(index, 1);
+
+      if (equipmentList.length > 0) {
+        this.leaveMulticast(port, equipment);
+      } else {
+        const socket = this.sockets.get(port);
+        if (socket) {
+          socket.close();
+          this.sockets.delete(port);
+        }
+        this.equipmentMap.delete(port);
+        this.unroutable.delete(port);
+        this.memberships.delete(port); // Closing the socket leaves its groups
+        console.log(`[UDP] Closed ${equipment.name} port ${port}`);
+      }
+
+      return port;
+    }
+
+    return null;
+  }
+
   /**
    * Gets statistics for a specific port
    */
   getPortInfo(port) {
-    const equipment = this.equipmentMap.get(port);
+    const equipment = this.equipmentMap.get(port) || [];
     return {
       port: port,
-      equipment: equipment ? equipment.name : 'Unknown',
-      listening: this.sockets.has(port)
+      equipment: equipment.length > 0 ? equipment.map(eq => eq.name).join(', ') : 'Unknown',
+      listening: this.sockets.has(port),
+      boundAddress: this.getBoundAddress(port),
+      shared: equipment.length > 1,
+      multicastGroups: this.getMemberships(port),
+      unroutable: this.getUnroutableStats(port)
     };
   }
 
+  /**
+   * Gets the local address a port's socket is bound to (null until it is listening)
+   */
+  getBoundAddress(port) {
+    const socket = this.sockets.get(port);
+    try {
+      return socket ? socket.address().address : null;
+    } catch (error) {
+      return null; // Not bound yet
+    }
+  }
+
   /**
    * Add new equipment listener
    * @param {object} equipment - Equipment configuration
    */
   addEquipment(equipment) {
-    if (this.sockets.has(equipment.port)) {
+    if (this.sockets.has(equipment.port) && !this.canSharePort(equipment.port, equipment)) {
       throw new Error(`Port ${equipment.port} is already in use`);
     }
 
@@ -231,22 +817,12 @@ class MultiPortUDPListener {
    * @param {string} equipmentId - Equipment ID
    */
   removeEquipment(equipmentId) {
-    // Find equipment by ID
-    let portToRemove = null;
-    for (const [port, equipment] of this.equipmentMap) {
-      if (equipment.id === equipmentId) {
-        portToRemove = port;
-        break;
-      }
-    }
+    const portToRemove = this.detachEquipment(equipmentId);
 
     if (portToRemove !== null) {
-      const socket = this.sockets.get(portToRemove);
-      if (socket) {
-        socket.close();
-        this.sockets.delete(portToRemove);
-      }
-      this.equipmentMap.delete(portToRemove);
+      packetStats.reset(equipmentId);
+      packetCapture.clear(equipmentId);
+      sourceFilter.clear(equipmentId);
       console.log(`[UDP] ✅ Removed equipment on port ${portToRemove}`);
       return true;
     }
@@ -260,8 +836,9 @@ class MultiPortUDPListener {
    * @param {string} newIP - New IP address
    */
   updateEquipmentIP(equipmentId, newIP) {
-    for (const [port, equipment] of this.equipmentMap) {
-      if (equipment.id === equipmentId) {
+    for (const equipmentList of this.equipmentMap.values()) {
+      const equipment = equipmentList.find(eq => eq.id === equipmentId);
+      if (equipment) {
         equipment.ip = newIP;
         console.log(`[UDP] ✅ Updated ${equipment.name} IP to ${newIP}`);
         return true;
@@ -279,8 +856,13 @@ class MultiPortUDPListener {
       socket.close();
       console.log(`[UDP] Closed port ${port}`);
     });
+    this.recovery.forEach(recovery => clearTimeout(recovery.timer));
+    this.recovery.clear();
+    this.listenerFailures.clear();
     this.sockets.clear();
     this.equipmentMap.clear();
+    this.unroutable.clear();
+    this.memberships.clear();
     console.log('[UDP] All listeners stopped');
   }
 }
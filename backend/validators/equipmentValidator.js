@@ -3,6 +3,8 @@
  * Validates equipment configuration inputs
  */
 
+const net = require('net');
+
 /**
  * Validate IPv4 address
  * @param {string} ip - IP address to validate
@@ -34,6 +36,47 @@ function validateIPv4(ip) {
   return { valid: true };
 }
 
+/**
+ * Validate IPv6 address (optionally with a zone, e.g. fe80::1%eth0)
+ * @param {string} ip - IP address to validate
+ * @returns {object} - {valid: boolean, error?: string}
+ */
+function validateIPv6(ip) {
+  if (!ip || ip.trim() === '') {
+    return { valid: false, error: 'IP address is required' };
+  }
+
+  if (!net.isIPv6(ip)) {
+    return { valid: false, error: 'Invalid IPv6 address' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate IPv4 or IPv6 address ('auto' accepted)
+ * @param {string} ip - IP address to validate
+ * @returns {object} - {valid: boolean, version?: number, error?: string}
+ */
+function validateIP(ip) {
+  if (typeof ip === 'string' && ip.includes(':')) {
+    const ipv6Validation = validateIPv6(ip);
+    return ipv6Validation.valid ? { valid: true, version: 6 } : ipv6Validation;
+  }
+
+  const ipv4Validation = validateIPv4(ip);
+  if (!ipv4Validation.valid) {
+    return {
+      valid: false,
+      error: ipv4Validation.error === 'IP address is required'
+        ? ipv4Validation.error
+        : 'Invalid IP format. Expected IPv4 (xxx.xxx.xxx.xxx) or IPv6 (e.g. 2001:db8::10)'
+    };
+  }
+
+  return ip === 'auto' ? { valid: true } : { valid: true, version: 4 };
+}
+
 /**
  * Validate port number
  * @param {number|string} port - Port number to validate
@@ -99,6 +142,215 @@ function generateEquipmentId(name) {
     .replace(/^-|-$/g, '');
 }
 
+/**
+ * Validate a {min, max} limit range
+ * @param {object} range - Range to validate
+ * @returns {object} - {valid: boolean, error?: string}
+ */
+function validateRange(range) {
+  if (typeof range !== 'object' || range === null) {
+    return { valid: false, error: 'Limit range must be an object with min and/or max' };
+  }
+
+  const { min, max } = range;
+  const isNumber = value => value === undefined || value === null || (typeof value === 'number' && isFinite(value));
+
+  if (!isNumber(min) || !isNumber(max)) {
+    return { valid: false, error: 'Limits must be numbers' };
+  }
+
+  if ((min === undefined || min === null) && (max === undefined || max === null)) {
+    return { valid: false, error: 'Limit range needs a min or a max' };
+  }
+
+  if (typeof min === 'number' && typeof max === 'number' && min > max) {
+    return { valid: false, error: 'Limit min must be <= max' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate threshold rule
+ * @param {object} rule - Rule to validate {parameter, warning?, alarm?}
+ * @returns {object} - {valid: boolean, error?: string}
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return { valid: false, error: 'Rule is required' };
+  }
+
+  if (!rule.parameter || typeof rule.parameter !== 'string') {
+    return { valid: false, error: 'Rule parameter is required' };
+  }
+
+  if (!rule.warning && !rule.alarm) {
+    return { valid: false, error: 'Rule needs a warning and/or alarm limit range' };
+  }
+
+  for (const level of ['warning', 'alarm']) {
+    if (rule[level]) {
+      const rangeValidation = validateRange(rule[level]);
+      if (!rangeValidation.valid) {
+        return { valid: false, error: `${level}: ${rangeValidation.error}` };
+      }
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate allowed source entry (IPv4/IPv6 address or CIDR range)
+ * @param {string} entry - Source entry, e.g. 192.168.1.10, 10.0.0.0/24 or 2001:db8::/64
+ * @returns {object} - {valid: boolean, error?: string}
+ */
+function validateSourceEntry(entry) {
+  if (typeof entry !== 'string' || entry.trim() === '') {
+    return { valid: false, error: 'Allowed source must be an IP address or CIDR range' };
+  }
+
+  const [ip, prefix, extra] = entry.trim().split('/');
+
+  if (ip === 'auto' || extra !== undefined) {
+    return { valid: false, error: `Invalid allowed source: ${entry}` };
+  }
+
+  const ipValidation = validateIP(ip);
+  if (!ipValidation.valid) {
+    return { valid: false, error: `${entry}: ${ipValidation.error}` };
+  }
+
+  const maxPrefix = ipValidation.version === 6 ? 128 : 32;
+  if (prefix !== undefined && (!/^\d{1,3}$/.test(prefix) || Number(prefix) > maxPrefix)) {
+    return { valid: false, error: `${entry}: CIDR prefix must be 0-${maxPrefix}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate allowed sources list
+ * @param {Array} sources - IP addresses and/or CIDR ranges
+ * @returns {object} - {valid: boolean, error?: string}
+ */
+function validateAllowedSources(sources) {
+  if (!Array.isArray(sources)) {
+    return { valid: false, error: 'allowedSources must be an array of IP addresses or CIDR ranges' };
+  }
+
+  for (const entry of sources) {
+    const entryValidation = validateSourceEntry(entry);
+    if (!entryValidation.valid) {
+      return entryValidation;
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate multicast subscription
+ * @param {object} multicast - {group, interface?} (IPv4 or IPv6, e.g. 239.1.2.3 or ff15::10 with interface ::%eth0)
+ * @returns {object} - {valid: boolean, error?: string}
+ */
+function validateMulticast(multicast) {
+  if (typeof multicast !== 'object' || multicast === null) {
+    return { valid: false, error: 'Multicast must be an object with a group address' };
+  }
+
+  const { group, interface: iface } = multicast;
+  const groupValidation = validateIP(group);
+  if (!groupValidation.valid || group === 'auto') {
+    return { valid: false, error: `Multicast group: ${groupValidation.error || 'Invalid IP format'}` };
+  }
+
+  if (groupValidation.version === 4) {
+    const firstOctet = Number(group.split('.')[0]);
+    if (firstOctet < 224 || firstOctet > 239) {
+      return { valid: false, error: 'Multicast group must be in 224.0.0.0 - 239.255.255.255' };
+    }
+  } else if (!/^ff/i.test(group)) {
+    return { valid: false, error: 'IPv6 multicast group must be in ff00::/8' };
+  }
+
+  if (iface !== undefined && iface !== null && iface !== '') {
+    const ifaceValidation = validateIP(iface);
+    if (!ifaceValidation.valid || ifaceValidation.version !== groupValidation.version) {
+      return { valid: false, error: `Multicast interface must be a local IPv${groupValidation.version} address` };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate heartbeat timing (null or undefined uses the default)
+ * @param {object} timing - {expectedIntervalMs?, timeoutMs?}
+ * @param {number} defaultTimeoutMs - Server connectionTimeout, used when timeoutMs is not set
+ * @returns {object} - {valid: boolean, error?: string}
+ */
+function validateTiming(timing, defaultTimeoutMs) {
+  const { expectedIntervalMs, timeoutMs } = timing;
+  const isSet = value => value !== undefined && value !== null;
+
+  for (const [name, value] of [['expectedIntervalMs', expectedIntervalMs], ['timeoutMs', timeoutMs]]) {
+    if (isSet(value) && (!Number.isInteger(value) || value < 100)) {
+      return { valid: false, error: `${name} must be a whole number of milliseconds (at least 100)` };
+    }
+  }
+
+  const effectiveTimeout = isSet(timeoutMs) ? timeoutMs : defaultTimeoutMs;
+  if (isSet(expectedIntervalMs) && expectedIntervalMs >= effectiveTimeout) {
+    return { valid: false, error: `expectedIntervalMs must be less than the timeout (${effectiveTimeout} ms)` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate flapping detection settings (null or undefined uses the server defaults)
+ * @param {boolean|object} flapping - false to disable, or {transitions?, windowMs?}
+ * @returns {object} - {valid: boolean, error?: string}
+ */
+function validateFlapping(flapping) {
+  if (flapping === undefined || flapping === null || flapping === false) {
+    return { valid: true };
+  }
+
+  if (typeof flapping !== 'object' || Array.isArray(flapping)) {
+    return { valid: false, error: 'flapping must be false or an object {transitions, windowMs}' };
+  }
+
+  const { transitions, windowMs } = flapping;
+  if (transitions !== undefined && (!Number.isInteger(transitions) || transitions < 2)) {
+    return { valid: false, error: 'flapping.transitions must be a whole number (at least 2)' };
+  }
+
+  if (windowMs !== undefined && (!Number.isInteger(windowMs) || windowMs < 1000)) {
+    return { valid: false, error: 'flapping.windowMs must be a whole number of milliseconds (at least 1000)' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate the path an equipment normally runs on (null or empty: no normal path)
+ * @param {string} normalPath - ACTIVE or STANDBY
+ * @returns {object} - {valid: boolean, error?: string}
+ */
+function validateNormalPath(normalPath) {
+  if (normalPath === undefined || normalPath === null || normalPath === '') {
+    return { valid: true };
+  }
+
+  if (!['ACTIVE', 'STANDBY'].includes(normalPath)) {
+    return { valid: false, error: 'normalPath must be ACTIVE or STANDBY' };
+  }
+
+  return { valid: true };
+}
+
 /**
  * Validate complete equipment configuration
  * @param {object} config - Equipment configuration
@@ -116,7 +368,7 @@ function validateEquipmentConfig(config) {
   }
 
   // Validate IP
-  const ipValidation = validateIPv4(config.ip);
+  const ipValidation = validateIP(config.ip);
   if (!ipValidation.valid) {
     errors.ip = ipValidation.error;
     valid = false;
@@ -134,8 +386,17 @@ function validateEquipmentConfig(config) {
 
 module.exports = {
   validateIPv4,
+  validateIPv6,
+  validateIP,
   validatePort,
   validateName,
   generateEquipmentId,
+  validateRule,
+  validateSourceEntry,
+  validateAllowedSources,
+  validateMulticast,
+  validateTiming,
+  validateFlapping,
+  validateNormalPath,
   validateEquipmentConfig
 };
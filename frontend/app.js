@@ -7,6 +7,9 @@ class MonitoringApp {
   constructor() {
     this.ws = null;
     this.equipmentData = {};
+    this.alarms = new Map(); // Active alarms by ID
+    this.icdProfiles = [];
+    this.aggregationPolicies = [];
     this.reconnectInterval = null;
     this.reconnectDelay = 3000;
     this.maxReconnectDelay = 30000;
@@ -22,6 +25,8 @@ class MonitoringApp {
   init() {
     this.emptyState = new EmptyState();
     this.setupWebSocket();
+    this.loadIcdProfiles();
+    this.loadAggregationPolicies();
     this.loadInitialData();
     this.setupEventListeners();
   }
@@ -118,6 +123,63 @@ class MonitoringApp {
         case 'equipment_removed':
           this.handleEquipmentRemoved(message.data);
           break;
+
+        case 'packet_rejected':
+          this.handlePacketRejected(message.data);
+          break;
+
+        case 'rule_breach':
+          this.handleRuleBreach(message.data);
+          break;
+
+        case 'rule_cleared':
+          this.handleRuleCleared(message.data);
+          break;
+
+        case 'rogue_source':
+          this.handleRogueSource(message.data);
+          break;
+
+        case 'listener_down':
+          this.handleListenerDown(message.data);
+          break;
+
+        case 'listener_up':
+          this.handleListenerUp(message.data);
+          break;
+
+        case 'alarm_raised':
+        case 'alarm_updated':
+          this.handleAlarmUpdate(message.type, message.data);
+          break;
+
+        case 'alarm_cleared':
+          this.handleAlarmCleared(message.data);
+          break;
+
+        case 'connection_late':
+          this.handleConnectionLate(message.data);
+          break;
+
+        case 'connection_lost':
+          this.handleConnectionLost(message.data);
+          break;
+
+        case 'connection_restored':
+          this.handleConnectionRestored(message.data);
+          break;
+
+        case 'changeover':
+          this.handleChangeover(message.data);
+          break;
+
+        case 'flapping_started':
+          this.handleFlappingStarted(message.data);
+          break;
+
+        case 'flapping_ended':
+          this.handleFlappingEnded(message.data);
+          break;
           
         case 'pong':
           // Handle pong response if needed
@@ -147,6 +209,15 @@ class MonitoringApp {
             name: eq.name,
             ip: eq.ip,
             port: eq.port,
+            icdProfile: eq.icdProfile,
+            aggregation: eq.aggregation,
+            allowedSources: eq.allowedSources,
+            strictSource: eq.strictSource,
+            demux: eq.demux,
+            multicast: eq.multicast,
+            bindAddress: eq.bindAddress,
+            expectedIntervalMs: eq.expectedIntervalMs,
+            timeoutMs: eq.timeoutMs,
             status: null,
             path: null,
             timestamp: null,
@@ -167,11 +238,91 @@ class MonitoringApp {
         });
       }
       
+      await this.loadListenerStates();
+      await this.loadAlarms();
+      
     } catch (error) {
       console.error('Error loading initial data:', error);
     }
   }
 
+  /**
+   * Load each equipment's UDP listener state (listening, down, ...)
+   */
+  async loadListenerStates() {
+    const response = await fetch('/api/equipment/ports');
+    const result = await response.json();
+
+    if (result.success) {
+      result.equipment.forEach(eq => {
+        if (this.equipmentData[eq.id]) {
+          this.equipmentData[eq.id].listener = eq.listener;
+          this.updateEquipmentCard(eq.id);
+        }
+      });
+    }
+  }
+
+  /**
+   * Load available ICD profiles into the profile selects
+   */
+  async loadIcdProfiles() {
+    try {
+      const response = await fetch('/api/equipment/icd-profiles');
+      const result = await response.json();
+
+      if (result.success) {
+        this.icdProfiles = result.data;
+
+        document.querySelectorAll('.icd-profile-select').forEach(select => {
+          select.innerHTML = '';
+          this.icdProfiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.title = profile.description;
+            select.appendChild(option);
+          });
+        });
+      }
+    } catch (error) {
+      console.error('Error loading ICD profiles:', error);
+    }
+  }
+
+  /**
+   * Load supported aggregation policies into the edit modal
+   */
+  async loadAggregationPolicies() {
+    try {
+      const response = await fetch('/api/equipment/aggregation-policies');
+      const result = await response.json();
+
+      if (result.success) {
+        this.aggregationPolicies = result.data;
+
+        const select = document.getElementById('edit-equipment-aggregation');
+        select.innerHTML = '';
+        this.aggregationPolicies.forEach(policy => {
+          const option = document.createElement('option');
+          option.value = policy.id;
+          option.textContent = `${policy.id} - ${policy.description}`;
+          select.appendChild(option);
+        });
+      }
+    } catch (error) {
+      console.error('Error loading aggregation policies:', error);
+    }
+  }
+
+  /**
+   * Get display name of an ICD profile
+   */
+  getIcdProfileName(profileId) {
+    const profile = this.icdProfiles.find(p => p.id === (profileId || 'default'));
+    return profile ? profile.name : (profileId || 'default');
+  }
+
   /**
    * Update equipment status
    */
@@ -195,9 +346,20 @@ class MonitoringApp {
       path: status.path,
       timestamp: status.timestamp,
       connected: status.connected,
+      disconnectedSince: status.disconnectedSince,
+      late: status.late,
+      flapping: status.flapping,
+      changeovers: status.changeovers,
       sourceIP: status.sourceIP,
       sourcePort: status.sourcePort,
-      listenPort: status.listenPort
+      listenPort: status.listenPort,
+      channels: status.channels,
+      aggregate: status.aggregate,
+      parameters: status.parameters,
+      derivedStatus: status.derivedStatus,
+      ruleBreaches: status.ruleBreaches,
+      packetStats: status.packetStats,
+      rejections: status.rejections
     };
     
     this.updateEquipmentCard(status.equipmentId);
@@ -257,10 +419,44 @@ class MonitoringApp {
     
     if (!card) return;
     
-    // Update connection indicator
+    // Update connection indicator (a failed listener is not the same as a silent equipment)
+    const listenerDown = equipment.listener && equipment.listener.state === 'down';
+    const noData = !equipment.connected && Boolean(equipment.timestamp);
     const connectionIndicator = card.querySelector('.connection-indicator');
-    connectionIndicator.className = `connection-indicator ${equipment.connected ? 'connected' : 'disconnected'}`;
-    connectionIndicator.textContent = equipment.connected ? '● Online' : '● Offline';
+    connectionIndicator.title = '';
+    if (listenerDown) {
+      connectionIndicator.className = 'connection-indicator listener-down';
+      connectionIndicator.textContent = '● Listener Down';
+    } else if (noData) {
+      connectionIndicator.className = 'connection-indicator stale';
+      connectionIndicator.textContent = '● No Data';
+      connectionIndicator.title = `Nothing received since ${this.formatTimestamp(equipment.disconnectedSince || equipment.timestamp)}`;
+    } else if (equipment.connected && equipment.late) {
+      connectionIndicator.className = 'connection-indicator late';
+      connectionIndicator.textContent = '● Late';
+      connectionIndicator.title = `No report since ${this.formatTimestamp(equipment.timestamp)} ` +
+        `(expected every ${equipment.expectedIntervalMs} ms)`;
+    } else if (equipment.connected && equipment.flapping) {
+      connectionIndicator.className = 'connection-indicator flapping';
+      connectionIndicator.textContent = '〰️ Flapping';
+      connectionIndicator.title = 'Status or path keeps changing - updates are slowed down until it settles';
+    } else {
+      connectionIndicator.className = `connection-indicator ${equipment.connected ? 'connected' : 'disconnected'}`;
+      connectionIndicator.textContent = equipment.connected ? '● Online' : '● Offline';
+    }
+    
+    // Update listener failure details
+    const listenerRow = card.querySelector('.listener-row');
+    if (listenerRow) {
+      if (listenerDown) {
+        const { error, attempts, nextRetryAt } = equipment.listener;
+        listenerRow.style.display = 'flex';
+        listenerRow.querySelector('.listener-value').textContent =
+          `${error} (retry ${attempts}, next ${this.formatTimestamp(nextRetryAt)})`;
+      } else {
+        listenerRow.style.display = 'none';
+      }
+    }
     
     // Update IP
     const ipValue = card.querySelector('.ip-value');
@@ -274,6 +470,12 @@ class MonitoringApp {
       portValue.textContent = equipment.listenPort || equipment.port || 'N/A';
     }
     
+    // Update ICD profile
+    const icdProfileValue = card.querySelector('.icd-profile-value');
+    if (icdProfileValue) {
+      icdProfileValue.textContent = this.getIcdProfileName(equipment.icdProfile);
+    }
+    
     // Update source IP
     const sourceIpValue = card.querySelector('.source-ip-value');
     if (sourceIpValue) {
@@ -285,10 +487,42 @@ class MonitoringApp {
     pathBadge.textContent = equipment.path || 'N/A';
     pathBadge.className = `path-badge ${equipment.path ? equipment.path.toLowerCase() : ''}`;
     
-    // Update status
+    // Update status (the last reported status is stale while no data arrives)
     const statusBadge = card.querySelector('.status-badge-main');
-    statusBadge.textContent = equipment.status || 'N/A';
-    statusBadge.className = `status-badge-main ${equipment.status ? equipment.status.toLowerCase() : ''}`;
+    if (noData) {
+      statusBadge.textContent = 'NO DATA';
+      statusBadge.className = 'status-badge-main stale';
+      statusBadge.title = `Last reported ${equipment.status || 'N/A'}`;
+    } else {
+      statusBadge.textContent = equipment.status || 'N/A';
+      statusBadge.className = `status-badge-main ${equipment.status ? equipment.status.toLowerCase() : ''}`;
+      statusBadge.title = '';
+    }
+    
+    // Update per-channel rows
+    this.renderChannels(card, equipment.channels);
+    
+    // Update aggregation note (multi-channel equipment only)
+    const aggregationNote = card.querySelector('.aggregation-note');
+    if (aggregationNote) {
+      const aggregate = equipment.aggregate;
+      if (aggregate && equipment.channels && equipment.channels.length > 1) {
+        aggregationNote.style.display = 'block';
+        aggregationNote.textContent = `${aggregate.degraded ? '⚠️ ' : ''}${aggregate.policy}: ${aggregate.detail}`;
+        aggregationNote.classList.toggle('degraded', aggregate.degraded);
+      } else {
+        aggregationNote.style.display = 'none';
+      }
+    }
+    
+    // Update analog parameter rows
+    this.renderParameters(card, equipment.parameters);
+    
+    // Update threshold rule breaches
+    this.renderRuleBreaches(card, equipment);
+    
+    // Update changeover summary
+    this.renderChangeovers(card, equipment);
     
     // Update last update time
     const lastUpdateTime = card.querySelector('.last-update-time');
@@ -298,13 +532,226 @@ class MonitoringApp {
       lastUpdateTime.textContent = 'Never';
     }
     
-    // Add status class to card
-    card.className = `equipment-card ${equipment.status ? equipment.status.toLowerCase() : ''}`;
+    // Update packet rate/loss statistics
+    const packetStatsRow = card.querySelector('.packet-stats-row');
+    if (packetStatsRow) {
+      const stats = equipment.packetStats;
+      if (stats && stats.packetsPerSec !== null) {
+        packetStatsRow.style.display = 'flex';
+        const packetStatsValue = packetStatsRow.querySelector('.packet-stats-value');
+        packetStatsValue.textContent = this.formatPacketStats(stats);
+        packetStatsValue.title = `Jitter ${stats.jitterMs} ms, ${stats.gaps} gap(s), ` +
+          `${stats.duplicates} duplicate(s), ${stats.outOfOrder} out of order - loss ${stats.lossSource}`;
+        packetStatsValue.classList.toggle('lossy', stats.lossPercent > 0);
+      } else {
+        packetStatsRow.style.display = 'none';
+      }
+    }
+    
+    // Update rejected packet counter
+    const rejectionRow = card.querySelector('.rejection-row');
+    if (rejectionRow) {
+      const rejections = equipment.rejections;
+      if (rejections && rejections.total > 0) {
+        rejectionRow.style.display = 'flex';
+        const rejectionValue = rejectionRow.querySelector('.rejection-value');
+        rejectionValue.textContent = `${rejections.total} (last: ${rejections.last.reason})`;
+        rejectionValue.title = rejections.last.error;
+      } else {
+        rejectionRow.style.display = 'none';
+      }
+    }
+    
+    // Add status class to card (worse of reported and rule-derived status)
+    const cardStatus = noData ? 'stale' : this.worseStatus(equipment.status, equipment.derivedStatus);
+    card.className = `equipment-card ${cardStatus ? cardStatus.toLowerCase() : ''}`;
 
     // Setup event listeners for card buttons
     this.setupCardEventListeners(card, equipmentId);
   }
 
+  /**
+   * Render one row per monitor channel (only for multi-channel equipment)
+   */
+  renderChannels(card, channels) {
+    const channelList = card.querySelector('.channel-list');
+    if (!channelList) return;
+
+    if (!channels || channels.length <= 1) {
+      channelList.style.display = 'none';
+      channelList.innerHTML = '';
+      return;
+    }
+
+    channelList.innerHTML = '';
+    channels.forEach(channel => {
+      const row = document.createElement('div');
+      row.className = 'channel-row';
+
+      const name = document.createElement('span');
+      name.className = 'channel-name';
+      name.textContent = channel.name;
+      row.appendChild(name);
+
+      const path = document.createElement('span');
+      path.className = `path-badge channel-badge ${channel.path ? channel.path.toLowerCase() : ''}`;
+      path.textContent = channel.valid ? channel.path : 'N/A';
+      row.appendChild(path);
+
+      const status = document.createElement('span');
+      status.className = `status-badge-main channel-badge ${channel.status ? channel.status.toLowerCase() : ''}`;
+      status.textContent = channel.valid ? channel.status : (channel.reason || 'INVALID');
+      row.appendChild(status);
+
+      channelList.appendChild(row);
+    });
+
+    channelList.style.display = 'flex';
+  }
+
+  /**
+   * Render analog parameters with their tolerance limits
+   */
+  renderParameters(card, parameters) {
+    const parameterList = card.querySelector('.parameter-list');
+    if (!parameterList) return;
+
+    parameterList.innerHTML = '';
+
+    if (!parameters || parameters.length === 0) {
+      parameterList.style.display = 'none';
+      return;
+    }
+
+    parameters.forEach(parameter => {
+      const row = document.createElement('div');
+      row.className = `parameter-row ${parameter.withinLimits === false ? 'out-of-limits' : ''}`;
+
+      const name = document.createElement('span');
+      name.className = 'parameter-name';
+      name.textContent = parameter.name;
+      row.appendChild(name);
+
+      const value = document.createElement('span');
+      value.className = 'parameter-value';
+      value.textContent = parameter.value !== null
+        ? `${parameter.value.toFixed(parameter.decimals)} ${parameter.unit}`
+        : 'N/A';
+      row.appendChild(value);
+
+      const limits = document.createElement('span');
+      limits.className = 'parameter-limits';
+      limits.textContent = this.formatLimits(parameter);
+      row.appendChild(limits);
+
+      parameterList.appendChild(row);
+    });
+
+    parameterList.style.display = 'flex';
+  }
+
+  /**
+   * Render the last changeover and the number of changeovers in the last 24 hours
+   */
+  renderChangeovers(card, equipment) {
+    const changeoverRow = card.querySelector('.changeover-row');
+    const countRow = card.querySelector('.changeover-count-row');
+    if (!changeoverRow || !countRow) return;
+
+    const changeovers = equipment.changeovers;
+    if (!changeovers) {
+      changeoverRow.style.display = 'none';
+      countRow.style.display = 'none';
+      return;
+    }
+
+    const changeoverValue = changeoverRow.querySelector('.changeover-value');
+    const last = changeovers.last;
+    changeoverValue.textContent = last
+      ? `${formatChangeover(last)}, ${new Date(last.timestamp).toLocaleString()}`
+      : 'None';
+    changeoverValue.title = last && last.expected === false ? 'Unexpected: away from the normal path' : '';
+    changeoverValue.classList.toggle('unexpected', Boolean(last && last.expected === false));
+    changeoverRow.style.display = 'flex';
+
+    const countValue = countRow.querySelector('.changeover-count-value');
+    countValue.textContent = `${changeovers.last24h} (today: ${changeovers.today})`;
+    countValue.title = Object.entries(changeovers.byDay)
+      .sort(([a], [b]) => b.localeCompare(a))
+      .map(([day, count]) => `${day}: ${count}`)
+      .join('\n');
+    countRow.style.display = 'flex';
+  }
+
+  /**
+   * Render the rule-derived status and one item per active rule breach
+   */
+  renderRuleBreaches(card, equipment) {
+    const ruleRow = card.querySelector('.rule-row');
+    const breachList = card.querySelector('.breach-list');
+    if (!ruleRow || !breachList) return;
+
+    const breaches = equipment.ruleBreaches || [];
+    breachList.innerHTML = '';
+
+    if (breaches.length === 0) {
+      ruleRow.style.display = 'none';
+      breachList.style.display = 'none';
+      return;
+    }
+
+    const derivedBadge = ruleRow.querySelector('.derived-status-badge');
+    derivedBadge.textContent = equipment.derivedStatus;
+    derivedBadge.className = `status-badge-main derived-status-badge ${equipment.derivedStatus.toLowerCase()}`;
+    ruleRow.style.display = 'flex';
+
+    breaches.forEach(breach => {
+      const item = document.createElement('li');
+      item.className = `breach-item ${breach.level.toLowerCase()}`;
+      item.textContent = `${breach.ruleName}: ${breach.message}`;
+      breachList.appendChild(item);
+    });
+
+    breachList.style.display = 'block';
+  }
+
+  /**
+   * Returns the more severe of two statuses
+   */
+  worseStatus(reported, derived) {
+    const severity = ['NORMAL', 'WARNING', 'ALARM', 'FAULT'];
+    return severity.indexOf(derived) > severity.indexOf(reported) ? derived : reported;
+  }
+
+  /**
+   * Format packet statistics, e.g. "1.00/s · loss 0.0% · max gap 1.2 s"
+   */
+  formatPacketStats(stats) {
+    const maxGap = stats.maxGapMs >= 1000
+      ? `${(stats.maxGapMs / 1000).toFixed(1)} s`
+      : `${stats.maxGapMs} ms`;
+    return `${stats.packetsPerSec.toFixed(2)}/s · loss ${stats.lossPercent.toFixed(1)}% · max gap ${maxGap}`;
+  }
+
+  /**
+   * Format a parameter's tolerance limits, e.g. "-0.015 … 0.015"
+   */
+  formatLimits(parameter) {
+    const { min, max } = parameter.limits || {};
+    const format = value => value.toFixed(parameter.decimals);
+
+    if (min !== null && min !== undefined && max !== null && max !== undefined) {
+      return `${format(min)} … ${format(max)}`;
+    }
+    if (min !== null && min !== undefined) {
+      return `≥ ${format(min)}`;
+    }
+    if (max !== null && max !== undefined) {
+      return `≤ ${format(max)}`;
+    }
+    return '';
+  }
+
   /**
    * Setup event listeners for equipment card buttons
    */
@@ -329,6 +776,12 @@ class MonitoringApp {
     if (editPortBtn) {
       editPortBtn.onclick = () => editEquipmentField(equipmentId, 'port');
     }
+
+    // Restart Listener button
+    const restartListenerBtn = card.querySelector('.restart-listener-btn');
+    if (restartListenerBtn) {
+      restartListenerBtn.onclick = () => restartListener(equipmentId);
+    }
   }
 
   /**
@@ -414,6 +867,15 @@ class MonitoringApp {
       name: data.name,
       ip: data.ip,
       port: data.port,
+      icdProfile: data.icdProfile,
+      aggregation: data.aggregation,
+      allowedSources: data.allowedSources,
+      strictSource: data.strictSource,
+      demux: data.demux,
+      multicast: data.multicast,
+      bindAddress: data.bindAddress,
+      expectedIntervalMs: data.expectedIntervalMs,
+      timeoutMs: data.timeoutMs,
       status: null,
       path: null,
       timestamp: null,
@@ -429,12 +891,264 @@ class MonitoringApp {
    */
   handleEquipmentUpdated(data) {
     if (this.equipmentData[data.id]) {
-      Object.assign(this.equipmentData[data.id], data.equipment);
+      // Changes carry null for fields removed from the config (e.g. by a config file reload)
+      Object.assign(this.equipmentData[data.id], data.equipment, data.changes);
+      if (data.changes && data.changes.port !== undefined) {
+        this.equipmentData[data.id].listenPort = data.changes.port;
+      }
       this.updateEquipmentCard(data.id);
       showNotification(`Equipment '${data.equipment.name}' updated`, 'success');
     }
   }
 
+  /**
+   * Handle packet rejected event
+   */
+  handlePacketRejected(data) {
+    const equipment = this.equipmentData[data.equipmentId];
+    if (!equipment) return;
+
+    equipment.rejections = data.rejections;
+    this.updateEquipmentCard(data.equipmentId);
+  }
+
+  /**
+   * Handle threshold rule breach event
+   */
+  handleRuleBreach(data) {
+    const equipment = this.equipmentData[data.equipmentId];
+    const name = equipment ? equipment.name : data.equipmentId;
+    showNotification(`${name}: ${data.level} - ${data.message}`, data.level === 'ALARM' ? 'error' : 'warning');
+  }
+
+  /**
+   * Handle threshold rule cleared event
+   */
+  handleRuleCleared(data) {
+    const equipment = this.equipmentData[data.equipmentId];
+    const name = equipment ? equipment.name : data.equipmentId;
+    showNotification(`${name}: ${data.ruleName} back within limits`, 'success');
+  }
+
+  /**
+   * Handle packet dropped from an unexpected source
+   * Notifies on the first sighting of each sender, then only updates the counter
+   */
+  handleRogueSource(data) {
+    if (data.packets === 1) {
+      const equipment = this.equipmentData[data.equipmentId];
+      const name = equipment ? equipment.name : data.equipmentId;
+      showNotification(`${name}: dropping packets from unexpected source ${data.sourceIP}`, 'warning');
+    }
+
+    refreshRogueSourceCount();
+    if (document.getElementById('rogue-sources-modal').style.display !== 'none') {
+      loadRogueSources();
+    }
+  }
+
+  /**
+   * Handle a failed UDP listener (retried with backoff by the server)
+   * Notifies on the first failure only, retries just update the card
+   */
+  handleListenerDown(data) {
+    const equipment = this.equipmentData[data.equipmentId];
+    if (!equipment) return;
+
+    if (data.attempts === 1) {
+      showNotification(`${equipment.name}: listener on port ${data.port} down - ${data.error}`, 'error');
+    }
+
+    equipment.listener = data;
+    this.updateEquipmentCard(data.equipmentId);
+  }
+
+  /**
+   * Handle a UDP listener that is receiving again
+   */
+  handleListenerUp(data) {
+    const equipment = this.equipmentData[data.equipmentId];
+    if (!equipment) return;
+
+    showNotification(`${equipment.name}: listener on port ${data.port} recovered`, 'success');
+    equipment.listener = data;
+    this.updateEquipmentCard(data.equipmentId);
+  }
+
+  /**
+   * Load the active alarms
+   */
+  async loadAlarms() {
+    const response = await fetch('/api/alarms');
+    const result = await response.json();
+
+    if (result.success) {
+      this.alarms = new Map(result.data.map(alarm => [alarm.id, alarm]));
+      this.renderAlarms();
+    }
+  }
+
+  /**
+   * Handle a raised or changed alarm (new, escalated, acknowledged, shelved...)
+   */
+  handleAlarmUpdate(type, data) {
+    const alarm = data.alarm;
+    this.alarms.set(alarm.id, alarm);
+    this.renderAlarms();
+
+    if (type === 'alarm_raised' || data.change === 'escalated') {
+      const equipment = this.equipmentData[alarm.equipmentId];
+      showNotification(`${equipment ? equipment.name : alarm.equipmentId}: ${alarm.severity} - ${alarm.message}`, 'error');
+    }
+  }
+
+  /**
+   * Handle an alarm that cleared (return to normal, data restored or equipment removed)
+   */
+  handleAlarmCleared(data) {
+    this.alarms.delete(data.alarm.id);
+    this.renderAlarms();
+  }
+
+  /**
+   * Render the active alarm list (hidden when there are no alarms)
+   */
+  renderAlarms() {
+    const panel = document.getElementById('alarm-panel');
+    const rows = document.getElementById('alarm-rows');
+    const alarms = Array.from(this.alarms.values()).sort((a, b) =>
+      Boolean(a.shelved) - Boolean(b.shelved) || b.raisedAt.localeCompare(a.raisedAt));
+
+    panel.style.display = alarms.length > 0 ? 'block' : 'none';
+    rows.innerHTML = '';
+
+    const unacknowledged = alarms.filter(alarm => !alarm.acknowledgement).length;
+    document.getElementById('alarm-summary').textContent =
+      `${alarms.length} active, ${unacknowledged} unacknowledged`;
+
+    alarms.forEach(alarm => {
+      const equipment = this.equipmentData[alarm.equipmentId];
+      const row = rows.insertRow();
+      row.className = [
+        'alarm-row',
+        alarm.acknowledgement ? 'acknowledged' : 'unacknowledged',
+        alarm.shelved ? 'shelved' : ''
+      ].join(' ');
+
+      const severity = document.createElement('span');
+      severity.className = `status-badge-main ${alarm.severity.toLowerCase()}`;
+      severity.textContent = alarm.severity;
+      row.insertCell().appendChild(severity);
+
+      row.insertCell().textContent = equipment ? equipment.name : alarm.equipmentId;
+      row.insertCell().textContent = alarm.message;
+      row.insertCell().textContent = new Date(alarm.raisedAt).toLocaleString();
+
+      const state = row.insertCell();
+      if (alarm.shelved) {
+        state.textContent = `Shelved until ${this.formatTimestamp(alarm.shelved.until)}`;
+        state.title = `${alarm.shelved.operator}: ${alarm.shelved.comment}`;
+      } else if (alarm.acknowledgement) {
+        state.textContent = `Acknowledged by ${alarm.acknowledgement.operator}`;
+        state.title = `${this.formatTimestamp(alarm.acknowledgement.at)}: ${alarm.acknowledgement.comment}`;
+      } else {
+        state.textContent = 'Unacknowledged';
+      }
+
+      const actions = row.insertCell();
+      actions.className = 'alarm-actions';
+      const addAction = (label, title, handler) => {
+        const button = document.createElement('button');
+        button.className = 'btn-secondary';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', () => handler(alarm.id));
+        actions.appendChild(button);
+      };
+
+      if (!alarm.acknowledgement) {
+        addAction('✔️ Ack', 'Acknowledge with a comment', acknowledgeAlarm);
+      }
+      if (alarm.shelved) {
+        addAction('📤 Unshelve', 'Return to the active list', unshelveAlarm);
+      } else {
+        addAction('📥 Shelve', 'Hide for a while', shelveAlarm);
+      }
+    });
+  }
+
+  /**
+   * Handle an equipment that missed its expected report (not yet lost)
+   */
+  handleConnectionLate(data) {
+    const equipment = this.equipmentData[data.equipmentId];
+    if (!equipment) return;
+
+    equipment.late = true;
+    this.updateEquipmentCard(data.equipmentId);
+  }
+
+  /**
+   * Handle an equipment that stopped sending (no data within the timeout)
+   */
+  handleConnectionLost(data) {
+    const equipment = this.equipmentData[data.equipmentId];
+    if (!equipment) return;
+
+    showNotification(`${equipment.name}: no data for ${formatDuration(data.silenceMs)}`, 'error');
+    equipment.connected = false;
+    equipment.disconnectedSince = data.lastUpdate;
+    this.updateEquipmentCard(data.equipmentId);
+  }
+
+  /**
+   * Handle an equipment sending again (the status update that follows refreshes the card)
+   */
+  handleConnectionRestored(data) {
+    const equipment = this.equipmentData[data.equipmentId];
+    if (!equipment) return;
+
+    showNotification(`${equipment.name}: data restored after ${formatDuration(data.silenceMs)}`, 'success');
+  }
+
+  /**
+   * Handle an active/standby changeover (the status update that follows refreshes the card)
+   */
+  handleChangeover(data) {
+    const equipment = this.equipmentData[data.equipmentId];
+    if (!equipment) return;
+
+    if (data.expected === false) {
+      showNotification(`${equipment.name}: unexpected changeover ${formatChangeover(data)}`, 'warning');
+    } else {
+      showNotification(`${equipment.name}: changeover ${formatChangeover(data)}`, 'info');
+    }
+  }
+
+  /**
+   * Handle an equipment whose status or path keeps toggling
+   */
+  handleFlappingStarted(data) {
+    const equipment = this.equipmentData[data.equipmentId];
+    if (!equipment) return;
+
+    showNotification(`${equipment.name}: flapping (${data.transitions} changes in ${formatDuration(data.windowMs)})`, 'warning');
+    equipment.flapping = true;
+    this.updateEquipmentCard(data.equipmentId);
+  }
+
+  /**
+   * Handle an equipment that settled (the status update that follows refreshes the card)
+   */
+  handleFlappingEnded(data) {
+    const equipment = this.equipmentData[data.equipmentId];
+    if (!equipment) return;
+
+    showNotification(`${equipment.name}: settled after ${formatDuration(data.durationMs)} of flapping`, 'info');
+    equipment.flapping = false;
+    this.updateEquipmentCard(data.equipmentId);
+  }
+
   /**
    * Handle equipment removed event
    */
@@ -457,6 +1171,7 @@ class MonitoringApp {
 document.addEventListener('DOMContentLoaded', () => {
   window.monitoringApp = new MonitoringApp();
   setupModalHandlers();
+  refreshRogueSourceCount();
 });
 
 // ==================== Equipment Management Functions ====================
@@ -550,6 +1265,7 @@ function openAddEquipmentModal() {
   
   // Clear feedback
   clearFeedback();
+  loadBindAddressOptions('equipment-bind-address', null);
   
   // Get next available port
   fetch('/api/equipment/next-port')
@@ -670,7 +1386,7 @@ async function validateIpAddress() {
     const data = await response.json();
     
     if (data.valid) {
-      showFeedback(feedback, '✅ Valid IPv4 address', 'success');
+      showFeedback(feedback, `✅ Valid IPv${data.version} address`, 'success');
       return true;
     } else {
       showFeedback(feedback, `❌ ${data.error}`, 'error');
@@ -726,6 +1442,8 @@ async function handleAddEquipment(e) {
   const portInput = document.getElementById('equipment-port');
   const idInput = document.getElementById('equipment-id');
   const enabledInput = document.getElementById('equipment-enabled');
+  const icdProfileInput = document.getElementById('equipment-icd-profile');
+  const bindAddressInput = document.getElementById('equipment-bind-address');
   
   // Get name from select or input
   let name;
@@ -742,12 +1460,14 @@ async function handleAddEquipment(e) {
   const port = parseInt(portInput.value);
   const id = idInput.value;
   const enabled = enabledInput.checked;
+  const icdProfile = icdProfileInput.value;
+  const bindAddress = bindAddressInput.value || undefined;
   
   try {
     const response = await fetch('/api/equipment/add', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ name, ip, port, id, enabled })
+      body: JSON.stringify({ name, ip, port, id, enabled, icdProfile, bindAddress })
     });
     
     const data = await response.json();
@@ -784,6 +1504,24 @@ function openEditEquipmentModal(equipmentId) {
   document.getElementById('edit-equipment-name').value = equipment.name;
   document.getElementById('edit-equipment-port').value = equipment.port;
   document.getElementById('edit-equipment-enabled').checked = equipment.enabled !== false;
+  document.getElementById('edit-equipment-icd-profile').value = equipment.icdProfile || 'default';
+  document.getElementById('edit-equipment-aggregation').value =
+    (equipment.aggregation && equipment.aggregation.policy) || 'worst-of';
+  document.getElementById('edit-equipment-allowed-sources').value = (equipment.allowedSources || []).join(', ');
+  document.getElementById('edit-equipment-strict-source').value =
+    typeof equipment.strictSource === 'boolean' ? String(equipment.strictSource) : '';
+  document.getElementById('edit-sources-feedback').textContent = '';
+  const demux = equipment.demux || {};
+  document.getElementById('edit-equipment-demux-by').value = demux.by || '';
+  document.getElementById('edit-equipment-demux-key').value =
+    demux.by === 'sourcePort' ? demux.sourcePort : demux.by === 'payloadId' ? demux.value : '';
+  const multicast = equipment.multicast || {};
+  document.getElementById('edit-equipment-multicast-group').value = multicast.group || '';
+  document.getElementById('edit-equipment-multicast-interface').value = multicast.interface || '';
+  loadBindAddressOptions('edit-equipment-bind-address', equipment.bindAddress || null);
+  document.getElementById('edit-equipment-expected-interval').value = equipment.expectedIntervalMs || '';
+  document.getElementById('edit-equipment-timeout').value = equipment.timeoutMs || '';
+  document.getElementById('edit-equipment-normal-path').value = equipment.normalPath || '';
   
   // Set IP mode
   const isAuto = equipment.ip === 'auto';
@@ -857,7 +1595,7 @@ async function validateEditIpAddress() {
     const data = await response.json();
     
     if (data.valid) {
-      showFeedback(feedback, '✅ Valid IPv4 address', 'success');
+      showFeedback(feedback, `✅ Valid IPv${data.version} address`, 'success');
       return true;
     } else {
       showFeedback(feedback, `❌ ${data.error}`, 'error');
@@ -913,12 +1651,34 @@ async function handleEditEquipment(e) {
   const ip = ipMode === 'auto' ? 'auto' : ipInput.value.trim();
   const port = parseInt(document.getElementById('edit-equipment-port').value);
   const enabled = document.getElementById('edit-equipment-enabled').checked;
+  const icdProfile = document.getElementById('edit-equipment-icd-profile').value;
+  const existing = window.monitoringApp.equipmentData[id] || {};
+  const aggregation = {
+    ...(existing.aggregation || {}),
+    policy: document.getElementById('edit-equipment-aggregation').value
+  };
+  const allowedSources = document.getElementById('edit-equipment-allowed-sources').value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry !== '');
+  const strictValue = document.getElementById('edit-equipment-strict-source').value;
+  const strictSource = strictValue === '' ? null : strictValue === 'true';
+  const demux = buildDemuxSettings(existing.demux,
+    document.getElementById('edit-equipment-demux-by').value,
+    document.getElementById('edit-equipment-demux-key').value.trim());
+  const multicastGroup = document.getElementById('edit-equipment-multicast-group').value.trim();
+  const multicastInterface = document.getElementById('edit-equipment-multicast-interface').value.trim();
+  const multicast = multicastGroup ? { group: multicastGroup, interface: multicastInterface || undefined } : null;
+  const bindAddress = document.getElementById('edit-equipment-bind-address').value || null;
+  const expectedIntervalMs = parseInt(document.getElementById('edit-equipment-expected-interval').value) || null;
+  const timeoutMs = parseInt(document.getElementById('edit-equipment-timeout').value) || null;
+  const normalPath = document.getElementById('edit-equipment-normal-path').value || null;
   
   try {
     const response = await fetch(`/api/equipment/${id}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ name, ip, port, enabled })
+      body: JSON.stringify({ name, ip, port, enabled, icdProfile, aggregation, allowedSources, strictSource, demux, multicast, bindAddress, expectedIntervalMs, timeoutMs, normalPath })
     });
     
     const data = await response.json();
@@ -934,6 +1694,71 @@ async function handleEditEquipment(e) {
   }
 }
 
+/**
+ * Fill a bind address select with the server's network interfaces
+ * Each interface can be picked by name or by one of its addresses
+ * @param {string} selectId - Select element ID
+ * @param {string|null} current - Current bind address (kept even if no longer on the host)
+ */
+async function loadBindAddressOptions(selectId, current) {
+  const select = document.getElementById(selectId);
+  select.innerHTML = '<option value="">All interfaces (server host)</option>';
+
+  try {
+    const response = await fetch('/api/equipment/network-interfaces');
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    result.data.forEach(iface => {
+      const group = document.createElement('optgroup');
+      group.label = iface.internal ? `${iface.name} (loopback)` : iface.name;
+
+      [iface.name, ...iface.addresses.map(addr => addr.address)].forEach((value, index) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = index === 0 ? `${value} (interface)` : value;
+        group.appendChild(option);
+      });
+
+      select.appendChild(group);
+    });
+  } catch (error) {
+    console.error('Error loading network interfaces:', error);
+  }
+
+  if (current && !Array.from(select.options).some(option => option.value === current)) {
+    const option = document.createElement('option');
+    option.value = current;
+    option.textContent = `${current} (not found on this host)`;
+    select.appendChild(option);
+  }
+
+  select.value = current || '';
+}
+
+/**
+ * Build shared-port demux settings from the edit form
+ * Keeps payload ID offset/type from the existing settings
+ */
+function buildDemuxSettings(existing, by, key) {
+  if (!by) {
+    return null;
+  }
+
+  const demux = { ...(existing && existing.by === by ? existing : {}), by };
+
+  if (by === 'sourcePort') {
+    demux.sourcePort = parseInt(key);
+  } else if (by === 'payloadId') {
+    demux.value = demux.type === 'ascii' ? key : parseInt(key);
+  }
+
+  return demux;
+}
+
 /**
  * Delete equipment
  */
@@ -1024,6 +1849,22 @@ function editEquipmentFromMenu() {
   openEditEquipmentModal(currentEquipmentId);
 }
 
+/**
+ * Open packet inspector from menu
+ */
+function inspectPacketsFromMenu() {
+  document.getElementById('card-menu-popup').style.display = 'none';
+  openPacketInspector(currentEquipmentId);
+}
+
+/**
+ * Open event history from menu
+ */
+function eventHistoryFromMenu() {
+  document.getElementById('card-menu-popup').style.display = 'none';
+  openEventHistory(currentEquipmentId);
+}
+
 /**
  * Delete equipment from menu
  */
@@ -1032,6 +1873,515 @@ function deleteEquipmentFromMenu() {
   deleteEquipment();
 }
 
+/**
+ * Restart listener from menu
+ */
+function restartListenerFromMenu() {
+  document.getElementById('card-menu-popup').style.display = 'none';
+  restartListener(currentEquipmentId);
+}
+
+/**
+ * Rebind an equipment's UDP listener now instead of waiting for the next retry
+ */
+async function restartListener(equipmentId) {
+  try {
+    const response = await fetch(`/api/equipment/${equipmentId}/restart-listener`, { method: 'POST' });
+    const data = await response.json();
+
+    if (data.success) {
+      showNotification(data.message, 'success');
+    } else {
+      showNotification(data.error, 'error');
+    }
+  } catch (error) {
+    showNotification('Error restarting listener: ' + error.message, 'error');
+  }
+}
+
+// ==================== Alarm Functions ====================
+
+// Same limit as the alarm routes
+const MAX_OPERATOR_NAME_LENGTH = 50;
+
+/**
+ * Ask for (once) and remember the operator's name for alarm actions
+ * A stored name the server would reject is asked for again
+ */
+function getOperatorName() {
+  let operator = (localStorage.getItem('operatorName') || '').trim();
+  let question = 'Your name (recorded with alarm actions):';
+
+  while (!operator || operator.length > MAX_OPERATOR_NAME_LENGTH) {
+    localStorage.removeItem('operatorName');
+    const answer = prompt(question, operator);
+    if (answer === null) return null;
+
+    operator = answer.trim();
+    if (!operator) return null;
+    question = `Your name, at most ${MAX_OPERATOR_NAME_LENGTH} characters (recorded with alarm actions):`;
+  }
+
+  localStorage.setItem('operatorName', operator);
+  return operator;
+}
+
+/**
+ * Send an alarm action and report the result
+ * When the server rejects the stored operator name, it is asked for again and the action retried once
+ */
+async function sendAlarmAction(alarmId, action, body = {}, retried = false) {
+  try {
+    const response = await fetch(`/api/alarms/${encodeURIComponent(alarmId)}/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      showNotification(data.message, 'success');
+    } else if (!retried && body.operator && response.status === 400 && /^Operator/.test(data.error)) {
+      localStorage.removeItem('operatorName');
+      showNotification(data.error, 'error');
+      sendAlarmAction(alarmId, action, { ...body, operator: getOperatorName() }, true);
+    } else {
+      showNotification(data.error, 'error');
+    }
+  } catch (error) {
+    showNotification(`Error updating alarm: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Acknowledge an alarm with a comment
+ */
+function acknowledgeAlarm(alarmId) {
+  const comment = prompt('Acknowledge alarm - comment:');
+  if (!comment || !comment.trim()) return;
+
+  sendAlarmAction(alarmId, 'acknowledge', { comment, operator: getOperatorName() });
+}
+
+/**
+ * Shelve an alarm for a number of minutes
+ */
+function shelveAlarm(alarmId) {
+  const minutes = parseInt(prompt('Shelve alarm for how many minutes?', '60'));
+  if (!minutes) return;
+
+  const comment = prompt('Reason for shelving:');
+  if (!comment || !comment.trim()) return;
+
+  sendAlarmAction(alarmId, 'shelve', { minutes, comment, operator: getOperatorName() });
+}
+
+/**
+ * Return a shelved alarm to the active list
+ */
+function unshelveAlarm(alarmId) {
+  sendAlarmAction(alarmId, 'unshelve');
+}
+
+// ==================== Event History Functions ====================
+
+let historyEquipmentId = null;
+let historyCursor = null;
+
+/**
+ * Open event history for an equipment
+ */
+function openEventHistory(equipmentId) {
+  const equipment = window.monitoringApp.equipmentData[equipmentId];
+  if (!equipment) return;
+
+  historyEquipmentId = equipmentId;
+  document.getElementById('event-history-name').textContent = equipment.name;
+  document.getElementById('event-history-modal').style.display = 'flex';
+
+  loadEventHistory();
+}
+
+/**
+ * Close event history
+ */
+function closeEventHistory() {
+  document.getElementById('event-history-modal').style.display = 'none';
+  historyEquipmentId = null;
+  historyCursor = null;
+}
+
+/**
+ * Query history with the selected filters (append: load the next page)
+ */
+async function loadEventHistory(append = false) {
+  if (!historyEquipmentId) return;
+
+  const params = new URLSearchParams({ limit: 100 });
+  const from = document.getElementById('event-history-from').value;
+  const to = document.getElementById('event-history-to').value;
+  if (from) params.set('from', new Date(from).toISOString());
+  if (to) params.set('to', new Date(to).toISOString());
+  ['type', 'status', 'path'].forEach(filter => {
+    const value = document.getElementById(`event-history-${filter}`).value;
+    if (value) params.set(filter, value);
+  });
+  if (append && historyCursor) params.set('cursor', historyCursor);
+
+  try {
+    const response = await fetch(`/api/history/${historyEquipmentId}?${params}`);
+    const result = await response.json();
+
+    if (!result.success) {
+      showNotification(result.error, 'error');
+      return;
+    }
+
+    historyCursor = result.nextCursor;
+    renderEventHistory(result.data, append);
+    document.getElementById('event-history-more').style.display = historyCursor ? 'block' : 'none';
+    document.getElementById('event-history-summary').textContent =
+      `${document.getElementById('event-history-rows').querySelectorAll('tr[data-event]').length} event(s)` +
+      (historyCursor ? ', more available' : '');
+  } catch (error) {
+    console.error('Error loading history:', error);
+  }
+}
+
+/**
+ * Render one table row per history event
+ */
+function renderEventHistory(events, append) {
+  const rows = document.getElementById('event-history-rows');
+  if (!append) {
+    rows.innerHTML = '';
+  }
+
+  if (events.length === 0 && !append) {
+    const row = rows.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 5;
+    cell.className = 'packet-empty';
+    cell.textContent = 'No events match the filters';
+    return;
+  }
+
+  events.forEach(event => {
+    const row = rows.insertRow();
+    row.dataset.event = event.type || 'sample';
+    row.className = ['ALARM', 'FAULT'].includes(event.status) || event.type === 'connection_lost' ? 'rejected' : '';
+
+    row.insertCell().textContent = new Date(event.timestamp).toLocaleString();
+    row.insertCell().textContent = event.type || 'sample';
+    row.insertCell().textContent = formatHistoryChange(event);
+    row.insertCell().textContent = event.durationMs !== undefined && event.durationMs !== null
+      ? formatDuration(event.durationMs)
+      : '';
+    row.insertCell().textContent = event.status ? `${event.path} | ${event.status}` : '';
+  });
+}
+
+/**
+ * Describe what a history event changed
+ */
+function formatHistoryChange(event) {
+  switch (event.type) {
+    case 'status_change':
+    case 'path_change': // Logs recorded before path changes became changeovers
+      return `${event.from || '—'} → ${event.to}`;
+    case 'changeover':
+      return `Changeover ${formatChangeover(event)}${event.expected === false ? ' (unexpected)' : ''}`;
+    case 'connection_lost':
+      return 'Connection lost';
+    case 'connection_restored':
+      return 'Connection restored';
+    case 'rule_breach':
+      return `${event.ruleName}: ${event.level}`;
+    case 'rule_cleared':
+      return `${event.ruleName}: cleared`;
+    case 'flapping_started':
+      return `Flapping (${event.transitions} changes in ${formatDuration(event.windowMs)})`;
+    case 'flapping_ended':
+      return `Settled (${event.transitions} changes: ${event.states.join(', ')})`;
+    default:
+      return event.type ? '' : 'Raw sample';
+  }
+}
+
+/**
+ * Describe a changeover: the overall paths, and the channels that swapped if any
+ */
+function formatChangeover(changeover) {
+  const swaps = (changeover.channels || [])
+    .filter(channel => channel.name)
+    .map(channel => `${channel.name} ${channel.from} → ${channel.to}`);
+  const overall = `${changeover.from} → ${changeover.to}`;
+  return swaps.length > 0 && changeover.from === changeover.to ? `${overall} (${swaps.join(', ')})` : overall;
+}
+
+/**
+ * Format a duration in milliseconds (e.g. 2h 5m, 45s)
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+// ==================== Packet Inspector Functions ====================
+
+let inspectorEquipmentId = null;
+let inspectorRefreshTimer = null;
+
+/**
+ * Open packet inspector for an equipment
+ */
+function openPacketInspector(equipmentId) {
+  const equipment = window.monitoringApp.equipmentData[equipmentId];
+  if (!equipment) return;
+
+  inspectorEquipmentId = equipmentId;
+  document.getElementById('packet-inspector-name').textContent = equipment.name;
+  document.getElementById('packet-inspector-pcap').href = `/api/equipment/${equipmentId}/packets/pcap`;
+  document.getElementById('packet-inspector-detail').style.display = 'none';
+  document.getElementById('packet-inspector-modal').style.display = 'flex';
+
+  loadInspectorPackets();
+
+  // Refresh while open and auto refresh is checked
+  inspectorRefreshTimer = setInterval(() => {
+    const modal = document.getElementById('packet-inspector-modal');
+    if (modal.style.display === 'none') {
+      closePacketInspector();
+    } else if (document.getElementById('packet-inspector-auto').checked) {
+      loadInspectorPackets();
+    }
+  }, 2000);
+}
+
+/**
+ * Close packet inspector
+ */
+function closePacketInspector() {
+  document.getElementById('packet-inspector-modal').style.display = 'none';
+  clearInterval(inspectorRefreshTimer);
+  inspectorRefreshTimer = null;
+  inspectorEquipmentId = null;
+}
+
+/**
+ * Load captured packets into the inspector table
+ */
+async function loadInspectorPackets() {
+  if (!inspectorEquipmentId) return;
+
+  const rejectedOnly = document.getElementById('packet-inspector-rejected').checked;
+
+  try {
+    const response = await fetch(`/api/equipment/${inspectorEquipmentId}/packets?limit=100&rejected=${rejectedOnly}`);
+    const result = await response.json();
+
+    if (!result.success) {
+      showNotification(result.error, 'error');
+      return;
+    }
+
+    document.getElementById('packet-inspector-summary').textContent =
+      `${result.count} shown, ${result.buffered}/${result.capacity} buffered`;
+    renderInspectorPackets(result.data);
+  } catch (error) {
+    console.error('Error loading packets:', error);
+  }
+}
+
+/**
+ * Render one table row per captured packet
+ */
+function renderInspectorPackets(packets) {
+  const rows = document.getElementById('packet-inspector-rows');
+  rows.innerHTML = '';
+
+  if (packets.length === 0) {
+    const row = rows.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 5;
+    cell.className = 'packet-empty';
+    cell.textContent = 'No packets captured yet';
+    return;
+  }
+
+  packets.forEach(packet => {
+    const row = rows.insertRow();
+    row.className = packet.valid ? '' : 'rejected';
+    row.title = packet.valid ? 'Click to explain' : `${packet.reason}: ${packet.error}`;
+    row.addEventListener('click', () => explainInspectorPacket(packet));
+
+    row.insertCell().textContent = new Date(packet.timestamp).toLocaleTimeString();
+    row.insertCell().textContent = formatEndpoint(packet.sourceIP, packet.sourcePort);
+    row.insertCell().textContent = packet.length;
+    row.insertCell().textContent = packet.valid ? `${packet.path} | ${packet.status}` : packet.reason;
+
+    const hexCell = row.insertCell();
+    hexCell.className = 'packet-hex';
+    hexCell.textContent = packet.hex.match(/.{1,2}/g).join(' ');
+  });
+}
+
+/**
+ * Show the byte-by-byte decode of a captured packet
+ */
+async function explainInspectorPacket(packet) {
+  const detail = document.getElementById('packet-inspector-detail');
+
+  try {
+    const response = await fetch('/api/decode', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ payload: packet.hex, encoding: 'hex', icdProfile: packet.profile })
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      showNotification(result.error, 'error');
+      return;
+    }
+
+    const explanation = result.data;
+    const lines = [
+      `Packet #${packet.id} - ${explanation.profile.name}: ` +
+        (explanation.valid ? 'valid' : `${explanation.reason} - ${explanation.error}`)
+    ];
+
+    explanation.bytes.forEach(byte => {
+      const label = byte.id ? `${byte.role} ${byte.id}` : byte.role;
+      const decoded = byte.role === 'channel' && byte.path ? ` ${byte.path} | ${byte.status}` : '';
+      const reason = byte.reason ? ` ✗ ${byte.error}` : '';
+      lines.push(`${String(byte.offset).padStart(3)}  ${byte.hex}  ${byte.binary}  ${label}${decoded}${reason}`);
+    });
+
+    detail.textContent = lines.join('\n');
+    detail.style.display = 'block';
+  } catch (error) {
+    showNotification('Error explaining packet: ' + error.message, 'error');
+  }
+}
+
+// ==================== Rogue Source Functions ====================
+
+/**
+ * Open rogue sources panel
+ */
+function openRogueSources() {
+  document.getElementById('rogue-sources-modal').style.display = 'flex';
+  loadRogueSources();
+}
+
+/**
+ * Close rogue sources panel
+ */
+function closeRogueSources() {
+  document.getElementById('rogue-sources-modal').style.display = 'none';
+}
+
+/**
+ * Load rogue sources into the panel table
+ */
+async function loadRogueSources() {
+  try {
+    const response = await fetch('/api/rogue-sources');
+    const result = await response.json();
+
+    if (!result.success) {
+      showNotification(result.error, 'error');
+      return;
+    }
+
+    const dropped = result.data.reduce((sum, rogue) => sum + rogue.dropped, 0);
+    document.getElementById('rogue-sources-summary').textContent =
+      `${result.count} source(s), ${dropped} packet(s) dropped`;
+    updateRogueSourceCount(result.count);
+    renderRogueSources(result.data);
+  } catch (error) {
+    console.error('Error loading rogue sources:', error);
+  }
+}
+
+/**
+ * Render one table row per rogue sender
+ */
+function renderRogueSources(rogueSources) {
+  const rows = document.getElementById('rogue-sources-rows');
+  rows.innerHTML = '';
+
+  if (rogueSources.length === 0) {
+    const row = rows.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 6;
+    cell.className = 'packet-empty';
+    cell.textContent = 'No packets from unexpected sources';
+    return;
+  }
+
+  rogueSources.forEach(rogue => {
+    const row = rows.insertRow();
+    row.className = rogue.dropped > 0 ? 'rejected' : '';
+
+    row.insertCell().textContent = `${rogue.equipmentName} (:${rogue.listenPort})`;
+    row.insertCell().textContent = formatEndpoint(rogue.sourceIP, rogue.lastSourcePort);
+    row.insertCell().textContent = rogue.allowedSources.join(', ');
+    row.insertCell().textContent = rogue.packets;
+    row.insertCell().textContent = rogue.dropped;
+    row.insertCell().textContent = new Date(rogue.lastSeen).toLocaleTimeString();
+  });
+}
+
+/**
+ * Clear the rogue source list
+ */
+async function clearRogueSources() {
+  try {
+    const response = await fetch('/api/rogue-sources', { method: 'DELETE' });
+    const result = await response.json();
+
+    if (result.success) {
+      loadRogueSources();
+    } else {
+      showNotification(result.error, 'error');
+    }
+  } catch (error) {
+    showNotification('Error clearing rogue sources: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Refresh the rogue source counter on the header button
+ */
+async function refreshRogueSourceCount() {
+  try {
+    const response = await fetch('/api/rogue-sources');
+    const result = await response.json();
+
+    if (result.success) {
+      updateRogueSourceCount(result.count);
+    }
+  } catch (error) {
+    console.error('Error loading rogue sources:', error);
+  }
+}
+
+function updateRogueSourceCount(count) {
+  const badge = document.getElementById('rogue-sources-count');
+  badge.textContent = count;
+  badge.style.display = count > 0 ? 'inline-block' : 'none';
+}
+
 /**
  * Edit equipment field inline
  */
@@ -1063,6 +2413,13 @@ async function editEquipmentField(equipmentId, field) {
   }
 }
 
+/**
+ * Format address and port, bracketing IPv6 addresses ([2001:db8::1]:4000)
+ */
+function formatEndpoint(ip, port) {
+  return ip && ip.includes(':') ? `[${ip}]:${port}` : `${ip}:${port}`;
+}
+
 /**
  * Generate equipment ID from name
  */
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * PCAP Replay Command
+ * Replays a pcap/pcapng capture through the UDP listener's message handler
+ *
+ * Usage: node scripts/replay-pcap.js <file> [--speed N] [--equipment ID] [--server URL] [--standalone]
+ *
+ *   --speed N       1 = original pace (default), 10 = ten times faster, 0 = no delay
+ *   --equipment ID  Send every datagram to this equipment instead of matching by port/IP
+ *   --server URL    Running server to replay into (default http://localhost:WEB_PORT)
+ *   --standalone    Decode in this process and print status updates, without a server
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function parseArgs(argv) {
+  const args = { file: null, speed: 1, equipmentId: null, server: null, standalone: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--speed':
+        args.speed = Number(argv[++i]);
+        break;
+      case '--equipment':
+        args.equipmentId = argv[++i];
+        break;
+      case '--server':
+        args.server = argv[++i];
+        break;
+      case '--standalone':
+        args.standalone = true;
+        break;
+      default:
+        args.file = argv[i];
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Uploads the capture to a running server (POST /api/capture/replay)
+ */
+async function replayToServer(buffer, args) {
+  const server = args.server || `http://localhost:${process.env.WEB_PORT || 3000}`;
+  const query = new URLSearchParams({ speed: args.speed, name: path.basename(args.file) });
+  if (args.equipmentId) {
+    query.set('equipmentId', args.equipmentId);
+  }
+
+  const response = await fetch(`${server}/api/capture/replay?${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: buffer
+  });
+  const result = await response.json();
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  const { matched, total, skipped, captureDurationMs } = result.replay;
+  console.log(`✅ Replay started on ${server}: ${matched} of ${total} datagrams (${skipped} unmatched)`);
+  console.log(`   Capture spans ${(captureDurationMs / 1000).toFixed(1)} s - watch the dashboard for updates`);
+}
+
+/**
+ * Replays in this process and prints each status update
+ */
+async function replayStandalone(buffer, args) {
+  const udpListener = require('../backend/udpListener');
+  const pcapReplay = require('../backend/pcapReplay');
+
+  udpListener.onStatusUpdate = (update) => {
+    if (update.type) {
+      console.log(`  ${update.type}: ${JSON.stringify(update.data)}`);
+    } else {
+      console.log(`  ${update.timestamp} ${update.equipmentId}: ${update.path} | ${update.status}` +
+        (update.derivedStatus && update.derivedStatus !== 'NORMAL' ? ` | Rules: ${update.derivedStatus}` : ''));
+    }
+  };
+
+  pcapReplay.replay(buffer, { speed: args.speed, equipmentId: args.equipmentId, source: path.basename(args.file) });
+  const status = await pcapReplay.completion;
+  console.log(`✅ Replayed ${status.replayed} of ${status.total} datagrams (${status.skipped} unmatched)`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.file || !(args.speed >= 0)) {
+    console.log('Usage: node scripts/replay-pcap.js <file> [--speed N] [--equipment ID] [--server URL] [--standalone]');
+    process.exit(1);
+  }
+
+  const buffer = fs.readFileSync(path.resolve(args.file));
+
+  if (args.standalone) {
+    await replayStandalone(buffer, args);
+  } else {
+    await replayToServer(buffer, args);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ Replay failed: ${error.message}`);
+  process.exit(1);
+});
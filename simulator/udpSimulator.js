@@ -5,6 +5,7 @@
  */
 
 const dgram = require('dgram');
+const net = require('net');
 const path = require('path');
 const fs = require('fs');
 
@@ -12,42 +13,12 @@ const fs = require('fs');
 const configPath = path.resolve(__dirname, '../config/equipment.json');
 const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
 
-// ICD Decoder for creating valid monitor bytes
-class ICDEncoder {
-  createMonitorByte(path, status) {
-    let byte = 0x80; // Set B7 = 1, B6 = 0 (10xxxxxx)
-    
-    // Set B5 for Active/Standby
-    if (path === 'ACTIVE') {
-      byte |= 0x20;
-    }
-    
-    // Set B4, B3 for status
-    let statusBits = 0;
-    switch (status) {
-      case 'NORMAL':
-        statusBits = 0b00;
-        break;
-      case 'WARNING':
-        statusBits = 0b01;
-        break;
-      case 'ALARM':
-        statusBits = 0b10;
-        break;
-      case 'FAULT':
-        statusBits = 0b11;
-        break;
-    }
-    
-    byte |= (statusBits << 3);
-    
-    return byte;
-  }
-}
+// ICD encoder/profiles shared with the backend so each equipment gets its own bit layout
+const icdDecoder = require('../backend/icdDecoder');
+const icdProfiles = require('../backend/icdProfiles');
 
 class MultiPortUDPSimulator {
   constructor() {
-    this.encoder = new ICDEncoder();
     this.equipment = config.equipment.filter(eq => eq.enabled !== false);
     this.targetHost = '127.0.0.1'; // localhost for testing
     this.interval = 5000; // Send packet every 5 seconds
@@ -70,36 +41,105 @@ class MultiPortUDPSimulator {
       this.equipmentStates[eq.id] = {
         ...eq,
         stateIndex: index % this.states.length, // Stagger initial states
-        socket: dgram.createSocket('udp4')
+        profile: icdProfiles.getProfileForEquipment(eq),
+        sequence: 0, // Frame counter for ICDs that carry one
+        socket: this.createSocket(eq)
       };
     });
   }
 
+  /**
+   * Gets where an equipment's packets go: its multicast group if it has one
+   */
+  getTarget(eq) {
+    return eq.multicast ? eq.multicast.group : this.targetHost;
+  }
+
+  /**
+   * Creates the sending socket (of the target's address family), bound to the demux source port when the
+   * equipment shares its port and is routed by source port, and set up to
+   * loop multicast back to this host when the equipment listens on a group
+   */
+  createSocket(eq) {
+    const socket = dgram.createSocket(net.isIPv6(this.getTarget(eq)) ? 'udp6' : 'udp4');
+    const sourcePort = eq.demux && eq.demux.by === 'sourcePort' ? eq.demux.sourcePort : null;
+
+    if (sourcePort || eq.multicast) {
+      socket.bind(sourcePort || 0, () => {
+        if (eq.multicast) {
+          socket.setMulticastLoopback(true);
+          if (eq.multicast.interface) {
+            socket.setMulticastInterface(eq.multicast.interface);
+          }
+        }
+      });
+    }
+
+    return socket;
+  }
+
+  /**
+   * Prepends a concentrator-style header carrying the equipment ID
+   * when the equipment is routed by payload ID
+   */
+  addDemuxHeader(eq, frame) {
+    if (!eq.demux || eq.demux.by !== 'payloadId') {
+      return frame;
+    }
+
+    const { offset = 0, type = 'uint8', endian, value } = eq.demux;
+    const idBytes = type === 'ascii' ? Buffer.from(value, 'latin1') : Buffer.alloc({ uint8: 1, uint16: 2, uint32: 4 }[type]);
+
+    if (type !== 'ascii') {
+      idBytes.writeUIntBE(value, 0, idBytes.length);
+      if (endian === 'little') {
+        idBytes.reverse();
+      }
+    }
+
+    return Buffer.concat([Buffer.alloc(offset), idBytes, frame]);
+  }
+
   /**
    * Creates a simulated UDP packet
    */
-  createPacket(path, status) {
-    // Create a buffer with monitor byte and some dummy data
-    const monitorByte = this.encoder.createMonitorByte(path, status);
+  createPacket(path, status, profile, sequence = null) {
+    // One monitor byte per channel; alternate channels report the opposite path
+    // so dual-transmitter profiles show one ACTIVE and one STANDBY transmitter
+    const otherPath = path === 'ACTIVE' ? 'STANDBY' : 'ACTIVE';
+    const channelCount = profile.channels ? profile.channels.length : 1;
+    const monitorBytes = [];
     
-    // Create packet with header + monitor byte + some payload
-    const packet = Buffer.alloc(20);
-    
-    // Add some header bytes
-    packet[0] = 0xAA; // Sync byte
-    packet[1] = 0x55; // Sync byte
-    packet[2] = 0x01; // Version
-    packet[3] = 0x00; // Reserved
+    for (let i = 0; i < channelCount; i++) {
+      monitorBytes.push(icdDecoder.createMonitorByte(i % 2 === 0 ? path : otherPath, status, profile));
+    }
     
-    // Add monitor byte at position 4
-    packet[4] = monitorByte;
+    // Wrap monitor bytes in a 20-byte frame (sync, version, length, checksum)
+    return icdDecoder.createFrame(monitorBytes, profile, 20, this.createParameterValues(profile), sequence);
+  }
+
+  /**
+   * Creates analog parameter values that wander around nominal,
+   * occasionally drifting just outside the tolerance limits
+   */
+  createParameterValues(profile) {
+    const values = {};
     
-    // Fill rest with dummy data
-    for (let i = 5; i < 20; i++) {
-      packet[i] = Math.floor(Math.random() * 256);
-    }
+    profile.parameters.forEach(parameter => {
+      const { min, max } = parameter.limits;
+      const nominal = parameter.nominal !== null
+        ? parameter.nominal
+        : (min !== null && max !== null ? (min + max) / 2 : null);
+      
+      if (nominal === null) {
+        return;
+      }
+      
+      const halfRange = min !== null && max !== null ? (max - min) / 2 : Math.abs(nominal) * 0.001;
+      values[parameter.id] = nominal + (Math.random() - 0.5) * 2.2 * halfRange;
+    });
     
-    return packet;
+    return values;
   }
 
   /**
@@ -109,17 +149,18 @@ class MultiPortUDPSimulator {
     const eq = this.equipmentStates[equipmentId];
     const state = this.states[eq.stateIndex];
     
-    const packet = this.createPacket(state.path, state.status);
+    const frame = this.createPacket(state.path, state.status, eq.profile, eq.sequence++);
+    const packet = this.addDemuxHeader(eq, frame);
     
-    // Send to equipment's dedicated port
-    eq.socket.send(packet, eq.port, this.targetHost, (err) => {
+    // Send to equipment's port (on its multicast group if it has one)
+    eq.socket.send(packet, eq.port, this.getTarget(eq), (err) => {
       if (err) {
         console.error(`Error sending packet for ${eq.name}:`, err.message);
       } else {
         const timestamp = new Date().toISOString();
         console.log(
           `[${timestamp}] ${eq.name.padEnd(12)} → Port ${eq.port.toString().padStart(4)} | ` +
-          `${state.path.padEnd(8)} | ${state.status.padEnd(8)} | Byte: 0x${packet[4].toString(16).padStart(2, '0')}`
+          `${state.path.padEnd(8)} | ${state.status.padEnd(8)} | Byte: 0x${frame[eq.profile.channels ? eq.profile.channels[0].offset : 4].toString(16).padStart(2, '0')}`
         );
       }
     });
@@ -0,0 +1,85 @@
+/**
+ * Flap detector tests: episodes start at the transition threshold and end once
+ * the equipment settles
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../backend/config');
+const flapDetector = require('../backend/flapDetector');
+
+const START = Date.parse('2024-01-01T00:00:00.000Z');
+
+config.flapping = { transitions: 4, windowMs: 10000 };
+config.equipment.push(
+  { id: 'test-quiet', name: 'Quiet', port: 4900, flapping: false },
+  { id: 'test-sensitive', name: 'Sensitive', port: 4901, flapping: { transitions: 2 } }
+);
+
+function change(seconds, from, to) {
+  return {
+    type: 'status_change',
+    from,
+    to,
+    status: to,
+    path: 'ACTIVE',
+    timestamp: new Date(START + seconds * 1000).toISOString()
+  };
+}
+
+// Toggles NORMAL/WARNING once at each of the given times (seconds after START)
+function toggle(equipmentId, times) {
+  return times.map((seconds, i) => flapDetector.record(equipmentId, i % 2 === 0
+    ? change(seconds, 'NORMAL', 'WARNING')
+    : change(seconds, 'WARNING', 'NORMAL')));
+}
+
+beforeEach(() => {
+  ['eq', 'test-quiet', 'test-sensitive'].forEach(id => flapDetector.reset(id));
+});
+
+test('flapping starts at the threshold within the window', () => {
+  const results = toggle('eq', [0, 1, 2, 3]);
+
+  assert.deepEqual(results.slice(0, 3), [null, null, null]);
+  assert.equal(results[3].type, 'flapping_started');
+  assert.equal(results[3].transitions, 4);
+  assert.equal(results[3].threshold, 4);
+  assert.equal(flapDetector.isFlapping('eq'), true);
+});
+
+test('changes spread wider than the window do not start an episode', () => {
+  const results = toggle('eq', [0, 4, 8, 12, 16, 20]);
+
+  assert.equal(results.every(result => result === null), true);
+  assert.equal(flapDetector.isFlapping('eq'), false);
+});
+
+test('an episode counts its changes and the states seen', () => {
+  toggle('eq', [0, 1, 2, 3, 4]);
+  flapDetector.record('eq', change(5, 'NORMAL', 'ALARM'));
+
+  const episode = flapDetector.getEpisode('eq');
+  assert.equal(episode.transitions, 6);
+  assert.deepEqual(episode.states.sort(), ['ALARM', 'NORMAL', 'WARNING']);
+});
+
+test('an episode ends once fewer than half the threshold remain in the window', () => {
+  toggle('eq', [0, 1, 2, 3]);
+
+  assert.deepEqual(flapDetector.check(START + 10500), []); // 3 changes still in the window
+  const ended = flapDetector.check(START + 12500); // 1 left
+
+  assert.equal(ended.length, 1);
+  assert.equal(ended[0].type, 'flapping_ended');
+  assert.equal(ended[0].transitions, 4);
+  assert.equal(ended[0].durationMs, 9500);
+  assert.equal(flapDetector.isFlapping('eq'), false);
+});
+
+test('per-equipment settings override the defaults or turn detection off', () => {
+  assert.equal(toggle('test-sensitive', [0, 1])[1].type, 'flapping_started');
+
+  assert.equal(toggle('test-quiet', [0, 1, 2, 3, 4, 5]).every(result => result === null), true);
+  assert.equal(flapDetector.isFlapping('test-quiet'), false);
+});
@@ -0,0 +1,98 @@
+/**
+ * History store tests: querying the persisted event log with cursor pagination
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+process.env.HISTORY_DIR = historyDir;
+const historyStore = require('../backend/historyStore');
+
+after(() => fs.rmSync(historyDir, { recursive: true, force: true }));
+
+function event(n, day, fields = {}) {
+  return {
+    type: n % 2 === 0 ? 'status_change' : 'changeover',
+    equipmentId: n % 3 === 0 ? 'dme' : 'localizer',
+    n,
+    status: 'NORMAL',
+    path: 'ACTIVE',
+    timestamp: `${day}T00:00:${String(n).padStart(2, '0')}.000Z`,
+    ...fields
+  };
+}
+
+function writeSegment(day, events, trailer = '') {
+  const lines = events.map(e => `${JSON.stringify(e)}\n`).join('');
+  fs.writeFileSync(path.join(historyDir, `events-${day}.ndjson`), lines + trailer);
+}
+
+async function queryAll(filters) {
+  const pages = [];
+  let cursor;
+  do {
+    const page = await historyStore.query({ limit: 100, ...filters, cursor });
+    pages.push(page.events.map(e => e.n));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return pages;
+}
+
+// 20 events on the first day, 10 on the second (n counts up across both)
+const first = Array.from({ length: 20 }, (_, i) => event(i, '2024-01-01'));
+const second = Array.from({ length: 10 }, (_, i) => event(20 + i, '2024-01-02', {
+  timestamp: `2024-01-02T00:00:${String(i).padStart(2, '0')}.000Z`
+}));
+writeSegment('2024-01-01', first);
+writeSegment('2024-01-02', second, '{"equipmentId":"dme","n":'); // cut short by a crash
+
+test('pages through every event newest first, across segments, without gaps or duplicates', async () => {
+  const pages = await queryAll({ limit: 7 });
+
+  assert.deepEqual(pages.map(page => page.length), [7, 7, 7, 7, 2]);
+  assert.deepEqual(pages.flat(), Array.from({ length: 30 }, (_, i) => 29 - i));
+});
+
+test('the last page has no cursor, even when it is full', async () => {
+  const page = await historyStore.query({ limit: 30 });
+
+  assert.equal(page.events.length, 30);
+  assert.equal(page.nextCursor, null);
+});
+
+test('filters apply across pages', async () => {
+  const pages = await queryAll({ limit: 2, equipmentIds: ['dme'], types: ['status_change'] });
+
+  assert.deepEqual(pages.flat(), [24, 18, 12, 6, 0]);
+  assert.deepEqual(pages.map(page => page.length), [2, 2, 1]);
+});
+
+test('from/to select a time range and skip segments outside it', async () => {
+  const pages = await queryAll({
+    limit: 4,
+    from: Date.parse('2024-01-01T00:00:15.000Z'),
+    to: Date.parse('2024-01-02T00:00:02.000Z')
+  });
+
+  assert.deepEqual(pages.flat(), [22, 21, 20, 19, 18, 17, 16, 15]);
+});
+
+test('a cursor stays valid while new events are appended', async () => {
+  const page = await historyStore.query({ limit: 5 });
+  assert.deepEqual(page.events.map(e => e.n), [29, 28, 27, 26, 25]);
+
+  fs.appendFileSync(path.join(historyDir, 'events-2024-01-02.ndjson'),
+    `\n${JSON.stringify(event(30, '2024-01-02', { timestamp: '2024-01-02T00:00:30.000Z' }))}\n`);
+
+  const next = await historyStore.query({ limit: 5, cursor: page.nextCursor });
+  assert.deepEqual(next.events.map(e => e.n), [24, 23, 22, 21, 20]);
+});
+
+test('invalid cursors are rejected', () => {
+  assert.equal(historyStore.decodeCursor('not a cursor'), null);
+  assert.deepEqual(historyStore.decodeCursor(historyStore.encodeCursor('2024-01-02', 42)), { day: '2024-01-02', offset: 42 });
+});
@@ -0,0 +1,76 @@
+/**
+ * ICD decoder tests: frame checksums and frame parsing
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const icdDecoder = require('../backend/icdDecoder');
+const icdProfiles = require('../backend/icdProfiles');
+
+const { REJECT_REASONS } = icdDecoder;
+
+test('computeChecksum supports xor8, sum8 and crc16-ccitt', () => {
+  assert.equal(icdDecoder.computeChecksum('xor8', Buffer.from([0x01, 0x02, 0x04, 0x07])), 0x00);
+  assert.equal(icdDecoder.computeChecksum('xor8', Buffer.from([0xAA, 0x55])), 0xFF);
+  assert.equal(icdDecoder.computeChecksum('sum8', Buffer.from([0xF0, 0x20, 0x01])), 0x11);
+  // CRC-16/CCITT-FALSE check value
+  assert.equal(icdDecoder.computeChecksum('crc16-ccitt', Buffer.from('123456789')), 0x29B1);
+  assert.throws(() => icdDecoder.computeChecksum('md5', Buffer.from([1])), /Unsupported checksum/);
+});
+
+test('parseFrame accepts a well-formed frame', () => {
+  const frame = icdDecoder.createFrame(0xA0);
+  const result = icdDecoder.parseFrame(frame);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.syncOffset, 0);
+  assert.equal(result.frame.length, 20);
+  assert.equal(result.checksum.type, 'xor8');
+  assert.equal(result.checksum.valid, true);
+});
+
+test('parseFrame finds the sync word after leading bytes and drops trailing bytes', () => {
+  const frame = icdDecoder.createFrame(0xA0);
+  const result = icdDecoder.parseFrame(Buffer.concat([Buffer.from([0x00, 0x13, 0x37]), frame, Buffer.from([0xFF, 0xFF])]));
+
+  assert.equal(result.valid, true);
+  assert.equal(result.syncOffset, 3);
+  assert.deepEqual(result.frame, frame);
+});
+
+test('parseFrame validates a two-byte CRC trailer', () => {
+  const profile = icdProfiles.getProfile('vendor-b');
+  const frame = icdDecoder.createFrame(0x41, profile);
+
+  assert.equal(icdDecoder.parseFrame(frame, profile).valid, true);
+
+  frame[5] ^= 0x01;
+  const result = icdDecoder.parseFrame(frame, profile);
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, REJECT_REASONS.BAD_CHECKSUM);
+});
+
+test('parseFrame rejects a corrupted byte with a checksum mismatch', () => {
+  const frame = icdDecoder.createFrame(0xA0);
+  frame[6] ^= 0x10;
+  const result = icdDecoder.parseFrame(frame);
+
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, REJECT_REASONS.BAD_CHECKSUM);
+  assert.notEqual(result.checksum.expected, result.checksum.received);
+});
+
+test('parseFrame rejects frames without sync, too short, with another version or length', () => {
+  const frame = icdDecoder.createFrame(0xA0);
+
+  assert.equal(icdDecoder.parseFrame(Buffer.alloc(20)).reason, REJECT_REASONS.NO_SYNC);
+  assert.equal(icdDecoder.parseFrame(frame.subarray(0, 3)).reason, REJECT_REASONS.TOO_SHORT);
+
+  const badVersion = Buffer.from(frame);
+  badVersion[2] = 0x09;
+  assert.equal(icdDecoder.parseFrame(badVersion).reason, REJECT_REASONS.BAD_VERSION);
+
+  const badLength = Buffer.from(frame);
+  badLength[3] = 40;
+  assert.equal(icdDecoder.parseFrame(badLength).reason, REJECT_REASONS.LENGTH_MISMATCH);
+});
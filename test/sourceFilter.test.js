@@ -0,0 +1,110 @@
+/**
+ * Source filter tests: allow-list matching, strict mode and rogue senders
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sourceFilter = require('../backend/sourceFilter');
+
+function equipment(fields = {}) {
+  return { id: 'eq', name: 'Equipment', ip: '192.168.1.10', port: 4000, strictSource: false, ...fields };
+}
+
+const allowed = (eq, ip) => sourceFilter.check(eq, ip).allowed;
+
+test('the equipment IP is the allow-list when none is set', () => {
+  assert.equal(allowed(equipment(), '192.168.1.10'), true);
+  assert.equal(allowed(equipment(), '192.168.1.11'), false);
+  assert.equal(allowed(equipment({ ip: 'auto' }), '10.9.8.7'), true);
+});
+
+test('allowedSources match single addresses and CIDR ranges', () => {
+  const eq = equipment({ allowedSources: ['192.168.1.20', '10.20.0.0/24', '172.16.0.0/12'] });
+
+  assert.equal(allowed(eq, '192.168.1.20'), true);
+  assert.equal(allowed(eq, '192.168.1.10'), false);
+  assert.equal(allowed(eq, '10.20.0.0'), true);
+  assert.equal(allowed(eq, '10.20.0.255'), true);
+  assert.equal(allowed(eq, '10.20.1.0'), false);
+  assert.equal(allowed(eq, '172.31.255.1'), true);
+  assert.equal(allowed(eq, '172.32.0.1'), false);
+});
+
+test('/32 and /0 ranges match one address and every address', () => {
+  assert.equal(allowed(equipment({ allowedSources: ['10.0.0.1/32'] }), '10.0.0.1'), true);
+  assert.equal(allowed(equipment({ allowedSources: ['10.0.0.1/32'] }), '10.0.0.2'), false);
+  assert.equal(allowed(equipment({ allowedSources: ['0.0.0.0/0'] }), '203.0.113.9'), true);
+});
+
+test('IPv4-mapped IPv6 sources match IPv4 entries', () => {
+  const eq = equipment({ allowedSources: ['10.20.0.0/24'] });
+
+  assert.equal(allowed(eq, '::ffff:10.20.0.7'), true);
+  assert.equal(allowed(eq, '::ffff:10.21.0.7'), false);
+});
+
+test('per-equipment strictSource overrides the server setting', () => {
+  assert.equal(sourceFilter.check(equipment({ strictSource: true }), '192.168.1.10').strict, true);
+  assert.equal(sourceFilter.check(equipment({ strictSource: false }), '192.168.1.10').strict, false);
+});
+
+test('localhost is only exempt when the equipment is not strict', () => {
+  assert.equal(allowed(equipment(), '127.0.0.1'), true);
+  assert.equal(allowed(equipment({ strictSource: true }), '127.0.0.1'), false);
+  assert.equal(allowed(equipment({ strictSource: true, allowedSources: ['127.0.0.1'] }), '127.0.0.1'), true);
+});
+
+test('rogue senders are counted per equipment and source', () => {
+  sourceFilter.clear();
+  const eq = equipment();
+
+  sourceFilter.recordRogue(eq, { sourceIP: '10.0.0.1', sourcePort: 5000, length: 20, dropped: true });
+  const rogue = sourceFilter.recordRogue(eq, { sourceIP: '10.0.0.1', sourcePort: 5001, length: 20, dropped: false });
+
+  assert.equal(rogue.packets, 2);
+  assert.equal(rogue.dropped, 1);
+  assert.equal(rogue.lastSourcePort, 5001);
+  assert.equal(sourceFilter.getDroppedCount('eq'), 1);
+});
+
+test('each equipment keeps at most 50 rogue senders, forgetting the one seen longest ago', () => {
+  sourceFilter.clear();
+  const eq = equipment();
+  const other = equipment({ id: 'other' });
+
+  sourceFilter.recordRogue(other, { sourceIP: '10.1.0.1', sourcePort: 5000, length: 20, dropped: true });
+  for (let i = 0; i < 50; i++) {
+    const rogue = sourceFilter.recordRogue(eq, { sourceIP: `10.0.0.${i}`, sourcePort: 5000, length: 20, dropped: true });
+    rogue.lastSeen = new Date(Date.UTC(2024, 0, 1, 0, 0, 50 - i)).toISOString();
+  }
+
+  sourceFilter.recordRogue(eq, { sourceIP: '10.0.1.1', sourcePort: 5000, length: 20, dropped: true });
+  const sources = sourceFilter.getRogueSources('eq').map(rogue => rogue.sourceIP);
+
+  assert.equal(sources.length, 50);
+  assert.equal(sources.includes('10.0.1.1'), true);
+  assert.equal(sources.includes('10.0.0.49'), false);
+  assert.equal(sourceFilter.getRogueSources('other').length, 1);
+});
+
+test('IPv6 sources match IPv6 addresses and prefixes', () => {
+  const eq = equipment({ allowedSources: ['2001:db8:10::/48', 'fe80::1', '2001:db8:ffff::5'] });
+
+  assert.equal(allowed(eq, '2001:db8:10::1'), true);
+  assert.equal(allowed(eq, '2001:db8:10:ffff:ffff:ffff:ffff:ffff'), true);
+  assert.equal(allowed(eq, '2001:db8:11::1'), false);
+  assert.equal(allowed(eq, '2001:0db8:ffff:0000:0000:0000:0000:0005'), true);
+  assert.equal(allowed(eq, 'fe80::1%eth0'), true);
+  assert.equal(allowed(eq, 'fe80::2'), false);
+});
+
+test('IPv4 and IPv6 entries never match the other family', () => {
+  assert.equal(allowed(equipment({ allowedSources: ['::/0'] }), '10.0.0.1'), false);
+  assert.equal(allowed(equipment({ allowedSources: ['0.0.0.0/0'] }), '2001:db8::1'), false);
+  assert.equal(allowed(equipment({ allowedSources: ['::ffff:10.0.0.1'] }), '10.0.0.1'), true);
+});
+
+test('IPv6 localhost is only exempt when the equipment is not strict', () => {
+  assert.equal(allowed(equipment(), '::1'), true);
+  assert.equal(allowed(equipment({ strictSource: true }), '::1'), false);
+});
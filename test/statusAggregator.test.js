@@ -0,0 +1,104 @@
+/**
+ * Status aggregator tests: each policy's overall status and path
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const statusAggregator = require('../backend/statusAggregator');
+
+function channel(id, path, status, valid = true) {
+  return { id, name: id.toUpperCase(), path, status, valid };
+}
+
+const channels = [
+  channel('tx1', 'ACTIVE', 'NORMAL'),
+  channel('tx2', 'STANDBY', 'ALARM'),
+  channel('mon1', 'ACTIVE', 'WARNING'),
+  channel('mon2', 'ACTIVE', 'NORMAL')
+];
+
+test('worst-of is the default and ignores invalid channels', () => {
+  const result = statusAggregator.aggregate([...channels, channel('bad', 'ACTIVE', 'FAULT', false)]);
+
+  assert.equal(result.policy, 'worst-of');
+  assert.equal(result.status, 'ALARM');
+  assert.equal(result.path, 'ACTIVE');
+  assert.deepEqual(result.channels, ['tx1', 'tx2', 'mon1', 'mon2']);
+  assert.equal(result.degraded, false);
+});
+
+test('worst-of only looks at the configured channels', () => {
+  const result = statusAggregator.aggregate(channels, { channels: ['tx1', 'mon1'] });
+
+  assert.equal(result.status, 'WARNING');
+  assert.deepEqual(result.channels, ['tx1', 'mon1']);
+});
+
+test('vote takes the highest status reached by a majority', () => {
+  const voters = [
+    channel('mon1', 'ACTIVE', 'ALARM'),
+    channel('mon2', 'ACTIVE', 'WARNING'),
+    channel('mon3', 'ACTIVE', 'NORMAL')
+  ];
+
+  assert.equal(statusAggregator.aggregate(voters, { policy: 'vote' }).status, 'WARNING');
+  assert.equal(statusAggregator.aggregate(voters, { policy: 'vote', required: 1 }).status, 'ALARM');
+  assert.equal(statusAggregator.aggregate(voters, { policy: 'vote', required: 3 }).status, 'NORMAL');
+});
+
+test('vote falls back to worst-of when too few voters are valid', () => {
+  const result = statusAggregator.aggregate(
+    [channel('mon1', 'ACTIVE', 'NORMAL'), channel('mon2', 'ACTIVE', 'ALARM', false), channel('mon3', 'ACTIVE', 'WARNING', false)],
+    { policy: 'vote', channels: ['mon1', 'mon2', 'mon3'] }
+  );
+
+  assert.equal(result.status, 'NORMAL');
+  assert.equal(result.degraded, true);
+});
+
+test('primary-fallback uses the primary, then the first valid fallback', () => {
+  const aggregation = { policy: 'primary-fallback', primary: 'tx2', fallback: ['tx1'] };
+
+  const primary = statusAggregator.aggregate(channels, aggregation);
+  assert.equal(primary.status, 'ALARM');
+  assert.equal(primary.path, 'STANDBY');
+  assert.equal(primary.degraded, false);
+
+  const fallback = statusAggregator.aggregate(
+    channels.map(c => c.id === 'tx2' ? { ...c, valid: false } : c),
+    aggregation
+  );
+  assert.equal(fallback.status, 'NORMAL');
+  assert.deepEqual(fallback.channels, ['tx1']);
+  assert.equal(fallback.degraded, true);
+});
+
+test('active-only ignores channels on the standby path', () => {
+  const result = statusAggregator.aggregate(channels, { policy: 'active-only' });
+
+  assert.equal(result.status, 'WARNING');
+  assert.deepEqual(result.channels, ['tx1', 'mon1', 'mon2']);
+  assert.equal(result.degraded, false);
+
+  const standby = statusAggregator.aggregate([channel('tx2', 'STANDBY', 'WARNING')], { policy: 'active-only' });
+  assert.equal(standby.status, 'WARNING');
+  assert.equal(standby.degraded, true);
+});
+
+test('first-valid uses the first valid channel', () => {
+  const result = statusAggregator.aggregate(
+    [channel('tx1', 'ACTIVE', 'FAULT', false), ...channels.slice(1)],
+    { policy: 'first-valid' }
+  );
+
+  assert.equal(result.status, 'ALARM');
+  assert.deepEqual(result.channels, ['tx2']);
+});
+
+test('validate rejects unknown policies and malformed settings', () => {
+  assert.equal(statusAggregator.validate(undefined).valid, true);
+  assert.equal(statusAggregator.validate({ policy: 'vote', required: 2 }).valid, true);
+  assert.equal(statusAggregator.validate({ policy: 'median' }).valid, false);
+  assert.equal(statusAggregator.validate({ channels: 'tx1' }).valid, false);
+  assert.equal(statusAggregator.validate({ required: 0 }).valid, false);
+});